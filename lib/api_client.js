@@ -1,11 +1,17 @@
 const HTTP_Client = require('./http.js');
+const Cassette = require('./cassette.js');
 const querystring = require('querystring');
 
 class API_Client extends HTTP_Client {
 
-    constructor(host){
-        super();
+    constructor(host, options = {}){
+        super(options.timeout, options);
         this.host = host;
+        this.protocol = options.protocol || 'https:';
+        this.port = options.port;
+        this.cassette = options.cassette instanceof Cassette || !options.cassette ?
+            options.cassette :
+            new Cassette(options.cassette.filepath, options.cassette);
     }
 
     apiGet(req){
@@ -29,17 +35,20 @@ class API_Client extends HTTP_Client {
     }
 
     apiRequest(method, req){
-        let { protocol = 'https:', path = '/', headers = {}, body, query } = req;
+        let { protocol = this.protocol, hostname = this.host, port = this.port, path = '/', headers = {}, body, query, stream } = req;
         path = query ? `${path}?${querystring.stringify(query)}` : path;
-        return this._request({
+        const r = {
             'method': method,
             'protocol': protocol,
-            'hostname': this.host,
+            'hostname': hostname,
+            'port': port,
             'path': path,
             'timeout': this.timeout,
             'headers': headers,
-            'body': body
-        });
+            'body': body,
+            'stream': stream
+        };
+        return this.cassette ? this.cassette.request(r, this._request.bind(this)) : this._request(r);
     }
 }
 
@@ -0,0 +1,97 @@
+/**
+ * Turn a bid change into a function of the current bid.
+ * '+10%' / '-5%' change the bid by a percentage, '+0.05' / '-0.05' by an amount,
+ * and a number or '=0.5' sets it. A function is called with (bid, { campaign, category }).
+ * @param {(string|number|function)} change
+ * @returns {?function} null if the change is not understood
+ */
+function parseBidChange(change){
+    if (typeof change === 'function'){
+        return change;
+    }
+    if (typeof change === 'number' && isFinite(change)){
+        return () => change;
+    }
+    const match = /^\s*([+\-=]?)\s*(\d+(?:\.\d+)?)\s*(%?)\s*$/.exec(String(change));
+    if (!match){
+        return null;
+    }
+    const [, sign, digits, percent] = match;
+    const value = Number(digits);
+    if (!sign || sign === '='){
+        return percent ? null : () => value;
+    }
+    const direction = sign === '-' ? -1 : 1;
+    return percent ?
+        (bid) => bid * (1 + direction * value / 100) :
+        (bid) => bid + direction * value;
+}
+
+/**
+ * Work out new bids for campaigns as returned by getBids.
+ * Campaign bids and category bids (in `categories` or `categoryBids`) get the change, unless a category has an override.
+ * @param {object[]} campaigns - Campaign bids, as returned by getBids
+ * @param {object} options
+ * @param {function} options.change - From parseBidChange
+ * @param {object} [options.categories] - Changes by category hash code, from parseBidChange
+ * @param {number} [options.min] - Lowest bid allowed
+ * @param {number} [options.max] - Highest bid allowed
+ * @param {integer} [options.precision=2] - Decimals new bids are rounded to
+ * @returns {object} { changes, payload }: the changed bids ({ campaignId, categoryHashCode, before, after, capped }) and the updateBids payload.
+ */
+function planBidChanges(campaigns, options){
+    const { change, categories = {}, min, max, precision = 2 } = options;
+    const changes = [];
+    const payload = [];
+    const apply = (fn, bid, context) => {
+        const factor = Math.pow(10, precision);
+        let after = Math.round(Number(fn(Number(bid), context)) * factor) / factor;
+        let capped = null;
+        if (min !== undefined && after < min){
+            after = min;
+            capped = 'min';
+        }else if (max !== undefined && after > max){
+            after = max;
+            capped = 'max';
+        }
+        return { 'after': Math.max(after, 0), 'capped': capped };
+    };
+    for (const campaign of campaigns){
+        const campaignBid = apply(change, campaign.bidValue, { 'campaign': campaign, 'category': null });
+        const update = { 'campaignId': campaign.campaignId, 'bidValue': campaignBid.after, 'categories': [] };
+        if (campaignBid.after !== Number(campaign.bidValue)){
+            changes.push(diff(campaign, null, campaign.bidValue, campaignBid));
+        }
+        for (const category of campaign.categories || campaign.categoryBids || []){
+            const fn = categories[category.categoryHashCode] || change;
+            const categoryBid = apply(fn, category.bidValue, { 'campaign': campaign, 'category': category });
+            if (categoryBid.after !== Number(category.bidValue)){
+                changes.push(diff(campaign, category.categoryHashCode, category.bidValue, categoryBid));
+                update.categories.push({ 'categoryHashCode': category.categoryHashCode, 'bidValue': categoryBid.after });
+            }
+        }
+        if (campaignBid.after !== Number(campaign.bidValue) || update.categories.length){
+            if (!update.categories.length){
+                delete update.categories;
+            }
+            payload.push(update);
+        }
+    }
+    return { 'changes': changes, 'payload': payload };
+}
+
+function diff(campaign, categoryHashCode, before, bid){
+    return {
+        'campaignId': campaign.campaignId,
+        'advertiserId': campaign.advertiserId,
+        'categoryHashCode': categoryHashCode,
+        'before': Number(before),
+        'after': bid.after,
+        'capped': bid.capped
+    };
+}
+
+module.exports = {
+    parseBidChange,
+    planBidChanges
+};
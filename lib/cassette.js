@@ -0,0 +1,217 @@
+const fs = require('fs');
+const querystring = require('querystring');
+const { PassThrough } = require('stream');
+const { MapiError, MapiReplayError } = require('./errors.js');
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Records request/response pairs to a fixture file, or replays them without touching the network.
+ * @class
+ */
+class Cassette {
+
+    /**
+     * @param {string} filepath - Path of the JSON fixture file.
+     * @param {object} [options]
+     * @param {string} [options.mode=replay] - 'record' to perform requests and save them, 'replay' to answer from the file only.
+     * @param {string[]} [options.redactHeaders=['authorization']] - Request headers whose values are never saved.
+     * @param {string[]} [options.redactFields=['client_secret','access_token','refresh_token']] - Body fields (form or JSON) whose values are never saved.
+     */
+    constructor(filepath, options = {}){
+        this.filepath = filepath;
+        this.mode = options.mode || 'replay';
+        this.redactHeaders = (options.redactHeaders || ['authorization']).map((h) => h.toLowerCase());
+        this.redactFields = options.redactFields || ['client_secret', 'access_token', 'refresh_token'];
+        this.entries = [];
+        this.used = [];
+        this.saving = Promise.resolve();
+        if (this.mode === 'replay' || fs.existsSync(filepath)){
+            this.load();
+        }
+    }
+
+    load(){
+        try{
+            this.entries = JSON.parse(fs.readFileSync(this.filepath, 'utf8'));
+        }catch(e){
+            throw new MapiError(`Error Loading Cassette ${this.filepath}. ${e}`, { 'filepath': this.filepath });
+        }
+        this.used = this.entries.map(() => false);
+    }
+
+    /**
+     * Answer a request from the cassette, or perform and record it.
+     * @param {object} r - Request options, as passed to HTTP_Client#_request
+     * @param {function} send - Performs the request
+     * @returns {Promise<object>}
+     */
+    request(r, send){
+        const request = this.describe(r);
+        if (this.mode === 'record'){
+            return send({ ...r, 'stream': false }).then((res) => {
+                const entry = { 'request': request, 'response': this.describeResponse(res) };
+                this.entries.push(entry);
+                this.used.push(true);
+                return this.save().then(() => r.stream ? this.toStream(res) : res);
+            });
+        }
+        const index = this.find(request);
+        if (index < 0){
+            return Promise.reject(new MapiReplayError(`No recorded response in ${this.filepath} for ${request.method} ${request.path}`, {
+                'method': request.method,
+                'path': request.path,
+                'query': request.query,
+                'body': request.body
+            }));
+        }
+        this.used[index] = true;
+        return Promise.resolve(this.toResult(r, this.entries[index]));
+    }
+
+    /**
+     * Find the first unused matching entry, or else the last used one so that repeated requests can be replayed.
+     */
+    find(request){
+        let fallback = -1;
+        for (let i = 0; i < this.entries.length; i++){
+            if (this.matches(this.entries[i].request, request)){
+                if (!this.used[i]){
+                    return i;
+                }
+                fallback = i;
+            }
+        }
+        return fallback;
+    }
+
+    matches(a, b){
+        return a.method === b.method && a.path === b.path &&
+            JSON.stringify(a.query) === JSON.stringify(b.query) &&
+            JSON.stringify(a.body) === JSON.stringify(b.body);
+    }
+
+    describe(r){
+        const [path, search = ''] = r.path.split('?');
+        const query = querystring.parse(search);
+        const headers = {};
+        for (const name in r.headers){
+            headers[name] = this.redactHeaders.indexOf(name.toLowerCase()) > -1 ? REDACTED : r.headers[name];
+        }
+        return {
+            'method': r.method.toUpperCase(),
+            'path': path,
+            'query': this.sortKeys(query),
+            'headers': headers,
+            'body': this.redactBody(r.body)
+        };
+    }
+
+    describeResponse(res){
+        const headers = { ...res.response.headers };
+        delete headers['content-encoding'];
+        delete headers['content-length'];
+        delete headers['set-cookie'];
+        const text = /json|text|xml|csv|x-www-form-urlencoded/.test(headers['content-type'] || 'text');
+        const response = { 'statusCode': res.response.statusCode, 'headers': headers };
+        if (text){
+            // Empty bodies stay empty, so that they replay as they were received
+            const body = res.body ? this.redactBody(res.body) : '';
+            response.body = typeof body === 'string' && !this.isJSON(res.body) ? body : JSON.stringify(body);
+        }else{
+            response.bodyBase64 = res.raw.toString('base64');
+        }
+        return response;
+    }
+
+    toResult(r, entry){
+        const raw = entry.response.bodyBase64 !== undefined ?
+            Buffer.from(entry.response.bodyBase64, 'base64') :
+            Buffer.from(entry.response.body || '');
+        const result = {
+            'response': { 'statusCode': entry.response.statusCode, 'headers': { ...entry.response.headers } },
+            'request': { 'method': r.method, 'path': r.path }
+        };
+        const res = { ...result, 'body': raw.toString(), 'raw': raw };
+        return r.stream ? this.toStream(res) : res;
+    }
+
+    toStream(res){
+        const stream = new PassThrough();
+        stream.end(res.raw);
+        return { 'stream': stream, 'response': res.response, 'request': res.request };
+    }
+
+    /**
+     * Redact secret fields of a form or JSON body. JSON bodies are returned parsed, with sorted keys, for matching.
+     */
+    redactBody(body){
+        if (body === undefined || body === null || body === ''){
+            return null;
+        }
+        body = body.toString();
+        try{
+            return this.redactJSON(JSON.parse(body));
+        }catch(e){}
+        if (/^[^=&\s]+=[^&]*(&[^=&\s]+=[^&]*)*$/.test(body)){
+            const form = querystring.parse(body);
+            for (const field of this.redactFields){
+                if (form[field] !== undefined){
+                    form[field] = REDACTED;
+                }
+            }
+            return querystring.stringify(this.sortKeys(form));
+        }
+        return body;
+    }
+
+    isJSON(body){
+        try{
+            JSON.parse(body);
+            return true;
+        }catch(e){
+            return false;
+        }
+    }
+
+    redactJSON(value){
+        if (Array.isArray(value)){
+            return value.map((item) => this.redactJSON(item));
+        }else if (value && typeof value === 'object'){
+            const redacted = {};
+            for (const key of Object.keys(value).sort()){
+                redacted[key] = this.redactFields.indexOf(key) > -1 ? REDACTED : this.redactJSON(value[key]);
+            }
+            return redacted;
+        }
+        return value;
+    }
+
+    sortKeys(obj){
+        const sorted = {};
+        for (const key of Object.keys(obj).sort()){
+            sorted[key] = obj[key];
+        }
+        return sorted;
+    }
+
+    /**
+     * Write the recorded entries to the fixture file.
+     * @returns {Promise}
+     */
+    save(){
+        const data = JSON.stringify(this.entries, null, 2);
+        this.saving = this.saving.catch(() => {}).then(() => new Promise( (resolve, reject) => {
+            fs.writeFile(this.filepath, data, (err) => {
+                if (err){
+                    reject(new MapiError(`Error Saving Cassette ${this.filepath}. ${err}`, { 'code': err.code, 'filepath': this.filepath }));
+                }else{
+                    resolve();
+                }
+            });
+        }));
+        return this.saving;
+    }
+}
+
+module.exports = Cassette;
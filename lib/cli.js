@@ -0,0 +1,384 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Criteo_MAPI_Client = require('./mapi.js');
+const { toCSV } = require('./csv.js');
+const { MapiError, MapiHttpError, MapiAuthError, MapiValidationError, MapiTimeoutError, MapiNetworkError } = require('./errors.js');
+
+const EXIT = {
+    'ok': 0,
+    'error': 1,
+    'usage': 2,
+    'validation': 3,
+    'auth': 4,
+    'http': 5,
+    'network': 6
+};
+
+const BOOLEAN_FLAGS = ['help', 'h', 'dry-run', 'enabled', 'normalize', 'yes'];
+
+const list = (value) => value === undefined || value === true ? undefined : String(value).split(',').map((v) => v.trim()).filter((v) => v);
+
+/**
+ * Subcommands, by name. Each runs with the client, the positional arguments after the command and the flags.
+ */
+const COMMANDS = {
+    'portfolio': {
+        'usage': 'portfolio',
+        'run': (client) => client.getPortfolio()
+    },
+    'campaigns list': {
+        'usage': 'campaigns list [--advertiser <ids>] [--campaign <ids>] [--status <status>] [--bid-type <type>]',
+        'run': (client, args, flags) => client.getCampaigns(clean({
+            'advertiserIds': flags.advertiser,
+            'campaignIds': flags.campaign,
+            'campaignStatus': flags.status,
+            'bidType': flags['bid-type']
+        }))
+    },
+    'campaigns get': {
+        'usage': 'campaigns get <campaignId>',
+        'args': ['campaignId'],
+        'run': (client, [id]) => client.getCampaign(id)
+    },
+    'categories list': {
+        'usage': 'categories list [--advertiser <ids>] [--campaign <ids>] [--enabled]',
+        'run': (client, args, flags) => client.getCategories(clean({
+            'advertiserIds': flags.advertiser,
+            'campaignIds': flags.campaign
+        }), !!flags.enabled)
+    },
+    'bids get': {
+        'usage': 'bids get [--advertiser <ids>] [--status <status>] [--bid-type <type>]',
+        'run': (client, args, flags) => client.getBids(clean({
+            'advertiserIds': flags.advertiser,
+            'campaignStatus': flags.status,
+            'bidType': flags['bid-type']
+        }))
+    },
+    'bids adjust': {
+        'usage': 'bids adjust --change <+10%|-0.05|0.5> [--advertiser <ids>] [--status <status>] [--bid-type <type>] [--min <bid>] [--max <bid>] [--yes]',
+        'flags': ['change'],
+        'run': (client, args, flags, io) => client.adjustBids({
+            'filter': clean({ 'advertiserIds': flags.advertiser, 'campaignStatus': flags.status, 'bidType': flags['bid-type'] }),
+            'change': flags.change,
+            'min': flags.min === undefined ? undefined : Number(flags.min),
+            'max': flags.max === undefined ? undefined : Number(flags.max),
+            'confirm': () => !!flags.yes
+        }).then((res) => {
+            if (res.changes.length && !res.applied && !client.dryRun){
+                io.stderr.write('Bids were not updated, run again with --yes to apply these changes.\n');
+            }
+            return res.changes.map((change) => ({ ...change, 'applied': res.applied }));
+        })
+    },
+    'audiences list': {
+        'usage': 'audiences list [--advertiser <id>]',
+        'run': (client, args, flags) => client.getAudiences(flags.advertiser)
+    },
+    'audience add': {
+        'usage': 'audience add <audienceId> --schema <email|madid|identityLink|gum> --file <path|-> [--gum-caller <id>] [--normalize]',
+        'args': ['audienceId'],
+        'flags': ['schema', 'file'],
+        'run': (client, [id], flags, io) => client.bulkAddToAudience(id, audienceOptions(flags, io)).then(uploadSummary)
+    },
+    'audience remove': {
+        'usage': 'audience remove <audienceId> --schema <email|madid|identityLink|gum> --file <path|-> [--gum-caller <id>] [--normalize]',
+        'args': ['audienceId'],
+        'flags': ['schema', 'file'],
+        'run': (client, [id], flags, io) => client.bulkRemoveFromAudience(id, audienceOptions(flags, io)).then(uploadSummary)
+    },
+    'audience wipe': {
+        'usage': 'audience wipe <audienceId>',
+        'args': ['audienceId'],
+        'run': (client, [id]) => client.wipeAudience(id)
+    },
+    'stats': {
+        'usage': 'stats --from <date> --to <date> [--report CampaignPerformance] [--advertiser <ids>] [--dimensions CampaignId,Day] [--metrics Clicks,Displays,AdvertiserCost] [--currency <code>] [--timezone GMT|PST|JST] [--chunk day|week|month]',
+        'flags': ['from', 'to'],
+        'run': (client, args, flags) => client.getStats(clean({
+            'reportType': flags.report || 'CampaignPerformance',
+            'advertiserIds': flags.advertiser,
+            'startDate': flags.from,
+            'endDate': flags.to,
+            'dimensions': list(flags.dimensions) || ['CampaignId', 'Day'],
+            'metrics': list(flags.metrics) || ['Clicks', 'Displays', 'AdvertiserCost'],
+            'format': 'CSV',
+            'currency': flags.currency,
+            'timezone': flags.timezone
+        }), clean({ 'parse': true, 'chunk': flags.chunk }))
+    },
+    'crp sellers': {
+        'usage': 'crp sellers [--status Active|Inactive]',
+        'run': (client, args, flags) => client.getCRPSellers(clean({ 'sellerStatus': flags.status }))
+    },
+    'crp campaigns': {
+        'usage': 'crp campaigns [--seller <id>]',
+        'run': (client, args, flags) => client.getCRPCampaigns(clean({ 'sellerId': flags.seller }))
+    },
+    'crp budgets': {
+        'usage': 'crp budgets [--seller <id>] [--status Archived|Current|Scheduled]',
+        'run': (client, args, flags) => client.getCRPBudgets({
+            'sellerId': flags.seller,
+            'status': flags.status,
+            'withSpend': true,
+            'withBalance': true
+        })
+    },
+    'crp stats': {
+        'usage': 'crp stats [--seller <id>] [--from <date>] [--to <date>] [--interval Hour|Day|Month|Year]',
+        'run': (client, args, flags) => client.getCRPStatsBySellerCampaign({
+            'sellerId': flags.seller,
+            'startDate': flags.from,
+            'endDate': flags.to,
+            'intervalSize': flags.interval || 'Day'
+        })
+    },
+    'crp pacing': {
+        'usage': 'crp pacing [--seller <ids>] [--tolerance 0.1]',
+        'run': (client, args, flags) => client.getCRPPacing(clean({
+            'sellerIds': list(flags.seller),
+            'tolerance': flags.tolerance === undefined ? undefined : Number(flags.tolerance)
+        }))
+    }
+};
+
+const HELP = `Usage: criteo-mapi <command> [options]
+
+Commands:
+${Object.values(COMMANDS).map((c) => `  ${c.usage}`).join('\n')}
+
+Options:
+  --output, -o <format>  json (default), ndjson, csv or table
+  --profile <name>       Profile of the config file to use
+  --config <path>        Config file, ~/.criteo-mapi.json by default
+  --dry-run              Print write requests instead of sending them
+  --yes                  Apply the changes of bids adjust, which only lists them otherwise
+  --help, -h             Show this help
+
+Credentials are read from CRITEO_CLIENT_ID and CRITEO_CLIENT_SECRET, or from a profile of the config file:
+  { "default": { "clientId": "...", "clientSecret": "..." } }
+A profile may also set host, endpoint, protocol and port. CRITEO_PROFILE selects a profile.
+
+Exit codes: 0 success, 1 other error, 2 usage, 3 invalid input, 4 authentication, 5 API error, 6 network or timeout.
+`;
+
+/**
+ * Run the command line interface.
+ * @param {string[]} argv - Arguments, without the node and script paths
+ * @param {object} [io] - Streams and environment, for embedding and testing
+ * @param {Writable} [io.stdout=process.stdout]
+ * @param {Writable} [io.stderr=process.stderr]
+ * @param {Readable} [io.stdin=process.stdin]
+ * @param {object} [io.env=process.env]
+ * @returns {Promise<integer>} The exit code
+ */
+function run(argv, io = {}){
+    io = { 'stdout': process.stdout, 'stderr': process.stderr, 'stdin': process.stdin, 'env': process.env, ...io };
+    const { positional, flags } = parseArgs(argv);
+    if (flags.help || flags.h || !positional.length){
+        io.stdout.write(HELP);
+        return Promise.resolve(positional.length || flags.help || flags.h ? EXIT.ok : EXIT.usage);
+    }
+    const name = COMMANDS[positional.slice(0, 2).join(' ')] ? positional.slice(0, 2).join(' ') : positional[0];
+    const command = COMMANDS[name];
+    if (!command){
+        return usageError(io, `Unknown command '${positional.join(' ')}'`);
+    }
+    const args = positional.slice(name.split(' ').length);
+    const missing = (command.args || []).slice(args.length)
+        .concat((command.flags || []).filter((f) => flags[f] === undefined || flags[f] === true).map((f) => `--${f}`));
+    if (missing.length){
+        return usageError(io, `Missing ${missing.join(', ')}\nUsage: criteo-mapi ${command.usage}`);
+    }
+    const format = String(flags.output || flags.o || 'json').toLowerCase();
+    if (!FORMATTERS[format]){
+        return usageError(io, `Unknown output format '${format}', expected json, ndjson, csv or table`);
+    }
+    let client;
+    try{
+        client = createClient(flags, io.env);
+    }catch(e){
+        io.stderr.write(`Error: ${e.message}\n`);
+        return Promise.resolve(e instanceof MapiAuthError ? EXIT.auth : EXIT.usage);
+    }
+    return Promise.resolve()
+        .then(() => command.run(client, args, flags, io))
+        .then((result) => {
+            io.stdout.write(FORMATTERS[format](result));
+            return EXIT.ok;
+        })
+        .catch((err) => {
+            io.stderr.write(`Error: ${err.message}\n`);
+            if (err instanceof MapiValidationError && Array.isArray(err.errors)){
+                err.errors.map((e) => e.message || e.reason || JSON.stringify(e))
+                    .filter((detail) => err.message.indexOf(detail) < 0)
+                    .slice(0, 20)
+                    .forEach((detail) => io.stderr.write(`  ${detail}\n`));
+            }
+            return exitCode(err);
+        });
+}
+
+function usageError(io, message){
+    io.stderr.write(`${message}\nRun criteo-mapi --help for usage.\n`);
+    return Promise.resolve(EXIT.usage);
+}
+
+function exitCode(err){
+    if (err instanceof MapiValidationError){
+        return EXIT.validation;
+    }else if (err instanceof MapiAuthError){
+        return EXIT.auth;
+    }else if (err instanceof MapiHttpError){
+        return EXIT.http;
+    }else if (err instanceof MapiTimeoutError || err instanceof MapiNetworkError){
+        return EXIT.network;
+    }
+    return EXIT.error;
+}
+
+/**
+ * Split arguments into positional arguments and flags.
+ * --key value, --key=value and bare --flag (true) are understood, as are single-letter -k value flags.
+ * Negative numbers are taken as values, and known boolean flags never take one.
+ * @param {string[]} argv
+ * @returns {object} { positional, flags }
+ */
+function parseArgs(argv){
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++){
+        const arg = argv[i];
+        const match = /^--?([^=]+)(?:=(.*))?$/.exec(arg);
+        if (!match || arg === '-'){
+            positional.push(arg);
+        }else if (match[2] !== undefined){
+            flags[match[1]] = match[2];
+        }else if (BOOLEAN_FLAGS.indexOf(match[1]) < 0 && i + 1 < argv.length && !/^--?[^-\d]/.test(argv[i + 1])){
+            flags[match[1]] = argv[++i];
+        }else{
+            flags[match[1]] = true;
+        }
+    }
+    return { 'positional': positional, 'flags': flags };
+}
+
+/**
+ * Create a client from the environment or a profile of the config file.
+ */
+function createClient(flags, env){
+    const profile = loadProfile(flags, env);
+    const id = profile.clientId || env.CRITEO_CLIENT_ID;
+    const secret = profile.clientSecret || env.CRITEO_CLIENT_SECRET;
+    if (!id || !secret){
+        throw new MapiAuthError('No credentials: set CRITEO_CLIENT_ID and CRITEO_CLIENT_SECRET, or add a profile to the config file');
+    }
+    return new Criteo_MAPI_Client(id, secret, profile.host, profile.endpoint, {
+        'protocol': profile.protocol,
+        'port': profile.port,
+        'dryRun': !!flags['dry-run']
+    });
+}
+
+function loadProfile(flags, env){
+    const name = flags.profile || env.CRITEO_PROFILE || (env.CRITEO_CLIENT_ID ? null : 'default');
+    const file = flags.config || env.CRITEO_MAPI_CONFIG || path.join(os.homedir(), '.criteo-mapi.json');
+    if (!name){
+        return {};
+    }
+    let config;
+    try{
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }catch(e){
+        if (e.code === 'ENOENT' && !flags.profile && !env.CRITEO_PROFILE){
+            return {};
+        }
+        throw new MapiError(`Cannot read config file ${file}: ${e.message}`);
+    }
+    if (!config[name]){
+        throw new MapiError(`No profile '${name}' in ${file}`);
+    }
+    return config[name];
+}
+
+function audienceOptions(flags, io){
+    return {
+        'schema': flags.schema,
+        'identifiers': flags.file === '-' ? io.stdin : fs.createReadStream(flags.file),
+        'gumCallerId': flags['gum-caller'],
+        'normalize': !!flags.normalize,
+        'skipInvalid': !!flags.normalize
+    };
+}
+
+function uploadSummary(report){
+    const failed = report.batches.find((b) => b.error);
+    if (failed){
+        throw failed.error;
+    }
+    return { 'total': report.total, 'accepted': report.accepted, 'failed': report.failed, 'rejected': report.rejected };
+}
+
+function clean(obj){
+    const cleaned = {};
+    for (const key in obj){
+        if (obj[key] !== undefined){
+            cleaned[key] = obj[key];
+        }
+    }
+    return cleaned;
+}
+
+/**
+ * Turn a result into rows: arrays as they are, a single object as one row.
+ */
+function toRows(result){
+    if (Array.isArray(result)){
+        return result.map((row) => row && typeof row === 'object' ? row : { 'value': row });
+    }
+    return result && typeof result === 'object' ? [result] : [{ 'value': result }];
+}
+
+function flatten(row){
+    const flat = {};
+    for (const key in row){
+        const value = row[key];
+        flat[key] = value && typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value;
+    }
+    return flat;
+}
+
+function columnsOf(rows){
+    const columns = [];
+    rows.forEach((row) => Object.keys(row).forEach((key) => columns.indexOf(key) < 0 && columns.push(key)));
+    return columns;
+}
+
+const FORMATTERS = {
+    'json': (result) => `${JSON.stringify(result, null, 2)}\n`,
+    'ndjson': (result) => toRows(result).map((row) => `${JSON.stringify(row)}\n`).join(''),
+    'csv': (result) => {
+        const rows = toRows(result).map(flatten);
+        return toCSV(rows, columnsOf(rows));
+    },
+    'table': (result) => {
+        const rows = toRows(result).map(flatten);
+        const columns = columnsOf(rows);
+        const text = (value) => value === null || value === undefined ? '' : value instanceof Date ? value.toISOString() : String(value);
+        const cells = [columns].concat(rows.map((row) => columns.map((c) => text(row[c]))));
+        const widths = columns.map((c, i) => Math.max(...cells.map((line) => line[i].length)));
+        const numeric = columns.map((c) => rows.length > 0 && rows.every((row) => typeof row[c] === 'number' || row[c] === null || row[c] === undefined));
+        const format = (line) => line.map((cell, i) => numeric[i] ? cell.padStart(widths[i]) : cell.padEnd(widths[i])).join('  ').trimEnd();
+        return [format(cells[0]), widths.map((w) => '-'.repeat(w)).join('  ')]
+            .concat(cells.slice(1).map(format))
+            .join('\n') + '\n';
+    }
+};
+
+module.exports = {
+    run,
+    parseArgs,
+    COMMANDS,
+    EXIT
+};
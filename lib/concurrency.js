@@ -0,0 +1,44 @@
+/**
+ * Run an async function over the items of an iterable, with at most `limit` calls in flight.
+ * Items are pulled from the iterable only as calls complete, so async iterables are consumed lazily.
+ * @param {(Iterable|AsyncIterable)} items
+ * @param {integer} limit
+ * @param {function} fn - Called with (item, index), returns a Promise
+ * @returns {Promise<Array>} The results, in item order.
+ */
+function eachLimit(items, limit, fn){
+    const iterator = items[Symbol.asyncIterator] ? items[Symbol.asyncIterator]() : items[Symbol.iterator]();
+    const results = [];
+    let index = 0;
+    const worker = () => Promise.resolve(iterator.next()).then(({ value, done }) => {
+        if (done){
+            return;
+        }
+        const i = index++;
+        return Promise.resolve()
+            .then(() => fn(value, i))
+            .then((result) => {
+                results[i] = result;
+                return worker();
+            });
+    });
+    const workers = [];
+    for (let i = 0; i < Math.max(1, limit); i++){
+        workers.push(worker());
+    }
+    return Promise.all(workers).then(() => results);
+}
+
+/**
+ * Resolve after a delay.
+ * @param {integer} ms
+ * @returns {Promise}
+ */
+function wait(ms){
+    return new Promise( (resolve) => setTimeout(resolve, ms) );
+}
+
+module.exports = {
+    eachLimit,
+    wait
+};
@@ -0,0 +1,99 @@
+/**
+ * Parse CSV text into an array of records (arrays of strings).
+ * Handles quoted fields, escaped quotes, CRLF line endings and a leading BOM.
+ * @param {string} text
+ * @param {string} [delimiter] - Detected from the first line (',', ';' or tab) if not given.
+ * @returns {string[][]}
+ */
+function parseCSV(text, delimiter){
+    text = text.replace(/^\uFEFF/, '');
+    delimiter = delimiter || detectDelimiter(text);
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++){
+        const c = text[i];
+        if (quoted){
+            if (c === '"' && text[i + 1] === '"'){
+                field += '"';
+                i++;
+            }else if (c === '"'){
+                quoted = false;
+            }else{
+                field += c;
+            }
+        }else if (c === '"' && field === ''){
+            quoted = true;
+        }else if (c === delimiter){
+            record.push(field);
+            field = '';
+        }else if (c === '\n' || c === '\r'){
+            if (c === '\r' && text[i + 1] === '\n'){
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        }else{
+            field += c;
+        }
+    }
+    if (field !== '' || record.length){
+        record.push(field);
+        records.push(record);
+    }
+    return records.filter((r) => r.length > 1 || r[0] !== '');
+}
+
+function detectDelimiter(text){
+    const line = text.split(/\r?\n/, 1)[0];
+    const counts = [',', ';', '\t'].map((d) => [d, line.split(d).length]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][0];
+}
+
+/**
+ * Parse CSV text with a header line into an array of objects.
+ * @param {string} text
+ * @param {string} [delimiter]
+ * @returns {object[]}
+ */
+function parseCSVObjects(text, delimiter){
+    const [header, ...records] = parseCSV(text, delimiter);
+    if (!header){
+        return [];
+    }
+    return records.map((record) => {
+        const row = {};
+        header.forEach((name, i) => row[name] = record[i] === undefined ? '' : record[i]);
+        return row;
+    });
+}
+
+/**
+ * Serialize an array of objects to CSV text, with a header line.
+ * @param {object[]} rows
+ * @param {string[]} [columns] - Columns in order, the keys of the first row by default.
+ * @returns {string}
+ */
+function toCSV(rows, columns){
+    columns = columns || (rows.length ? Object.keys(rows[0]) : []);
+    const escape = (value) => {
+        if (value === null || value === undefined){
+            return '';
+        }
+        value = value instanceof Date ? value.toISOString() : String(value);
+        return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    };
+    return [columns.map(escape).join(',')]
+        .concat(rows.map((row) => columns.map((c) => escape(row[c])).join(',')))
+        .join('\n') + '\n';
+}
+
+module.exports = {
+    parseCSV,
+    parseCSVObjects,
+    toCSV
+};
@@ -0,0 +1,51 @@
+const moment = require('moment');
+const { MapiValidationError } = require('./errors.js');
+
+const UNITS = {
+    'day': 'day',
+    'week': 'isoWeek',
+    'month': 'month'
+};
+
+/**
+ * Split an inclusive date range into consecutive, non-overlapping ranges aligned on calendar
+ * days, ISO weeks (Monday to Sunday) or months. The first and last range are cut to the original bounds.
+ * @param {string} startDate - First day of the range
+ * @param {string} endDate - Last day of the range, inclusive
+ * @param {string} unit - 'day', 'week' or 'month'
+ * @returns {object[]} Ranges of { startDate, endDate }, as YYYY-MM-DD strings
+ * @throws {MapiValidationError} For an unknown unit or an invalid date
+ */
+function splitDateRange(startDate, endDate, unit){
+    const period = UNITS[unit];
+    if (!period){
+        throw validationError(`Unknown chunk size '${unit}', expected day, week or month`);
+    }
+    const first = startOfDay(startDate);
+    const end = startOfDay(endDate);
+    if (!first.isValid() || !end.isValid()){
+        throw validationError(`Invalid ${first.isValid() ? 'endDate' : 'startDate'}, expected a date`);
+    }
+    const ranges = [];
+    for (let start = first; !start.isAfter(end); ){
+        const last = moment.min(start.clone().endOf(period).startOf('day'), end);
+        ranges.push({
+            'startDate': start.format('YYYY-MM-DD'),
+            'endDate': last.format('YYYY-MM-DD')
+        });
+        start = last.clone().add(1, 'day');
+    }
+    return ranges;
+}
+
+function startOfDay(date){
+    return moment.utc(new Date(date)).startOf('day');
+}
+
+function validationError(message){
+    return new MapiValidationError(message, { 'errors': [message] });
+}
+
+module.exports = {
+    splitDateRange
+};
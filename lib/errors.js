@@ -0,0 +1,118 @@
+/**
+ * Base class for all errors raised by the MAPI Client.
+ * @class
+ * @extends Error
+ */
+class MapiError extends Error {
+
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {integer} [details.statusCode] - HTTP status code of the response
+     * @param {*} [details.body] - Response body, parsed as JSON when possible
+     * @param {string} [details.method] - HTTP method of the request
+     * @param {string} [details.path] - Path of the request
+     * @param {object} [details.headers] - Response headers
+     */
+    constructor(message, details = {}){
+        super(message);
+        this.name = this.constructor.name;
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * The API responded with a non-2xx status code.
+ * @class
+ * @extends MapiError
+ */
+class MapiHttpError extends MapiError {}
+
+/**
+ * The API rejected the credentials or token (401 / 403), or no token could be retrieved.
+ * @class
+ * @extends MapiHttpError
+ */
+class MapiAuthError extends MapiHttpError {}
+
+/**
+ * The request did not complete within the client timeout.
+ * @class
+ * @extends MapiError
+ */
+class MapiTimeoutError extends MapiError {}
+
+/**
+ * The request failed at the network level (ECONNRESET, ENOTFOUND, etc.), see `code`.
+ * @class
+ * @extends MapiError
+ */
+class MapiNetworkError extends MapiError {}
+
+/**
+ * A successful response could not be parsed.
+ * @class
+ * @extends MapiError
+ */
+class MapiParseError extends MapiError {}
+
+/**
+ * Input was rejected locally before any request was sent, see `errors`.
+ * @class
+ * @extends MapiError
+ */
+class MapiValidationError extends MapiError {}
+
+/**
+ * A request had no matching recording in a replayed cassette.
+ * @class
+ * @extends MapiError
+ */
+class MapiReplayError extends MapiError {}
+
+/**
+ * Collect the request and response details of a settled request, for use in error details.
+ * @param {object} res - Result of HTTP_Client#_request
+ * @returns {object}
+ */
+function responseDetails(res){
+    const request = res.request || {};
+    let body = res.body;
+    try{
+        body = JSON.parse(res.body);
+    }catch(e){}
+    return {
+        'statusCode': res.response.statusCode,
+        'body': body,
+        'method': request.method,
+        'path': request.path,
+        'headers': res.response.headers
+    };
+}
+
+/**
+ * Create the error for a non-2xx response.
+ * @param {object} res - Result of HTTP_Client#_request
+ * @returns {MapiHttpError}
+ */
+function httpError(res){
+    const status = res.response.statusCode;
+    const message = `Bad Response From API: Status Code ${status} | ${res.body}`;
+    if (status === 401 || status === 403){
+        return new MapiAuthError(message, responseDetails(res));
+    }
+    return new MapiHttpError(message, responseDetails(res));
+}
+
+module.exports = {
+    MapiError,
+    MapiHttpError,
+    MapiAuthError,
+    MapiTimeoutError,
+    MapiNetworkError,
+    MapiParseError,
+    MapiValidationError,
+    MapiReplayError,
+    responseDetails,
+    httpError
+};
@@ -1,39 +1,147 @@
 const http = require('http');
 const https = require('https');
+const zlib = require('zlib');
+const { URL } = require('url');
+const Tunnel_Agent = require('./tunnel_agent.js');
+const { MapiError, MapiNetworkError, MapiTimeoutError, MapiParseError } = require('./errors.js');
+
+const ENCODINGS = zlib.createBrotliDecompress ? 'gzip, deflate, br' : 'gzip, deflate';
 
 class HTTP_Client {
 
-    constructor(timeout = 12000){
+    constructor(timeout = 12000, options = {}){
         this.timeout = timeout;
+        this.compression = options.compression !== false;
+        this.agent = options.agent;
+        this.keepAlive = !!options.keepAlive;
+        this.maxSockets = options.maxSockets;
+        this.tls = options.tls || {};
+        this.proxy = options.proxy;
+        this.noProxy = options.noProxy;
+        this.agents = {};
     }
 
     _request(r){
-        return r.protocol == 'https:' ? this.http_request(r,https) : this.http_request(r);
+        const proxy = this.proxyFor(r);
+        if (r.protocol == 'https:'){
+            return this.http_request({ ...this.tls, ...r, 'agent': this.agentFor(r, proxy) }, https);
+        }else if (proxy){
+            const url = new URL(proxy);
+            return this.http_request({
+                ...r,
+                'hostname': url.hostname,
+                'port': url.port || 80,
+                'path': `http://${r.hostname}${r.port ? `:${r.port}` : ''}${r.path}`,
+                'headers': { ...r.headers, ...Tunnel_Agent.authorization(url) },
+                'agent': this.agentFor(r)
+            });
+        }
+        return this.http_request({ ...r, 'agent': this.agentFor(r) });
+    }
+
+    agentFor(r, proxy){
+        if (this.agent && !proxy){
+            return this.agent;
+        }
+        const key = proxy ? `tunnel ${proxy}` : r.protocol;
+        if (!this.agents[key] && (proxy || this.keepAlive)){
+            const options = {
+                ...this.tls,
+                'keepAlive': this.keepAlive,
+                'maxSockets': this.maxSockets
+            };
+            if (proxy){
+                this.agents[key] = new Tunnel_Agent(proxy, { ...options, 'connectTimeout': this.timeout });
+            }else{
+                this.agents[key] = r.protocol == 'https:' ? new https.Agent(options) : new http.Agent(options);
+            }
+        }
+        return this.agents[key];
+    }
+
+    /**
+     * Get the proxy URL for a request, from the client options or the HTTPS_PROXY / HTTP_PROXY and NO_PROXY environment variables.
+     * @param {object} r
+     * @returns {?string}
+     */
+    proxyFor(r){
+        if (this.proxy === false || (this.agent && !this.proxy)){
+            return null;
+        }
+        const env = process.env;
+        const proxy = this.proxy || (r.protocol == 'https:' ?
+            env.HTTPS_PROXY || env.https_proxy :
+            env.HTTP_PROXY || env.http_proxy);
+        if (!proxy){
+            return null;
+        }
+        const noProxy = this.noProxy === undefined ? env.NO_PROXY || env.no_proxy || '' : this.noProxy;
+        const host = r.hostname.toLowerCase();
+        const port = String(r.port || (r.protocol == 'https:' ? 443 : 80));
+        const bypass = noProxy.split(/[,\s]+/).filter((entry) => entry).some((entry) => {
+            if (entry === '*'){
+                return true;
+            }
+            let [name, entryPort] = entry.toLowerCase().split(':');
+            name = name.replace(/^\*?\./, '');
+            return (!entryPort || entryPort === port) && (host === name || host.endsWith(`.${name}`));
+        });
+        return bypass ? null : proxy;
     }
 
     http_request(r, mod = http){
         return new Promise( (resolve, reject) => {
 
+            const details = {
+                'method': r.method,
+                'path': r.path
+            };
+
+            if (this.compression && !Object.keys(r.headers || {}).some((h) => h.toLowerCase() === 'accept-encoding')){
+                r = { ...r, 'headers': { ...r.headers, 'Accept-Encoding': ENCODINGS } };
+            }
+
             const req = mod.request(r, (res) => {
 
-                let body = '';
+                const stream = this.decode(res);
+
+                if (r.stream){
+                    return resolve({
+                        'stream': stream,
+                        'response': res,
+                        'request': details
+                    });
+                }
+
+                const chunks = [];
 
-                res.on('data', (data) => body += data );
+                stream.on('data', (data) => chunks.push(data) );
 
-                res.on('end', () => {resolve({
-                        'body': body,
-                        'response': res
-                    })
+                stream.on('end', () => {
+                    const raw = Buffer.concat(chunks);
+                    resolve({
+                        'body': raw.toString(),
+                        'raw': raw,
+                        'response': res,
+                        'request': details
+                    });
                 });
 
-                res.on('error', (err) => reject(Error(err)) );
+                res.on('error', (err) => reject(new MapiNetworkError(`${err}`, { ...details, 'code': err.code })) );
+
+                if (stream !== res){
+                    stream.on('error', (err) => reject(new MapiParseError(`Error Decompressing Response: ${err}`, { ...details, 'statusCode': res.statusCode, 'headers': res.headers })) );
+                }
             });
 
             req.setTimeout(this.timeout);
 
-            req.on('error', err => reject(Error(err)) );
+            req.on('error', err => reject(err instanceof MapiError ? err : new MapiNetworkError(`${err}`, { ...details, 'code': err.code })) );
 
-            req.on('timeout', () => reject(Error(`Request timed out after ${this.timeout} ms.`)) );
+            req.on('timeout', () => {
+                reject(new MapiTimeoutError(`Request timed out after ${this.timeout} ms.`, { ...details, 'timeout': this.timeout }));
+                req.abort();
+            });
 
             if (r.body){
                 req.write(r.body);
@@ -43,6 +151,22 @@ class HTTP_Client {
 
         });
     }
+
+    decode(res){
+        const encoding = (res.headers['content-encoding'] || '').trim().toLowerCase();
+        let decoder;
+        if (encoding === 'gzip' || encoding === 'x-gzip'){
+            decoder = zlib.createGunzip();
+        }else if (encoding === 'deflate'){
+            decoder = zlib.createInflate();
+        }else if (encoding === 'br' && zlib.createBrotliDecompress){
+            decoder = zlib.createBrotliDecompress();
+        }else{
+            return res;
+        }
+        res.on('error', (err) => decoder.destroy(err));
+        return res.pipe(decoder);
+    }
 }
 
 module.exports = HTTP_Client;
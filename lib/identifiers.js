@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const readline = require('readline');
+const { Readable } = require('stream');
+
+const HASHED = /^([a-f0-9]{32}|[a-f0-9]{64})$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const TOKEN = /^[\w.~+/=-]+$/;
+
+/**
+ * Iterate over identifiers from an array, an (async) iterable, or a Readable stream with one identifier per line.
+ * Blank lines and values are skipped.
+ * @param {(string[]|Iterable|AsyncIterable|Readable)} source
+ * @returns {AsyncIterable<string>}
+ */
+async function* readIdentifiers(source){
+    const items = source instanceof Readable ?
+        readline.createInterface({ 'input': source, 'crlfDelay': Infinity }) :
+        source;
+    for await (const item of items){
+        const value = typeof item === 'string' ? item.trim() : item;
+        if (value !== '' && value !== null && value !== undefined){
+            yield value;
+        }
+    }
+}
+
+/**
+ * Group identifiers into arrays of at most `size` values.
+ * @param {(string[]|Iterable|AsyncIterable|Readable)} source
+ * @param {integer} size
+ * @returns {AsyncIterable<string[]>}
+ */
+async function* batchIdentifiers(source, size){
+    let batch = [];
+    for await (const identifier of readIdentifiers(source)){
+        batch.push(identifier);
+        if (batch.length >= size){
+            yield batch;
+            batch = [];
+        }
+    }
+    if (batch.length){
+        yield batch;
+    }
+}
+
+/**
+ * Normalize a single identifier for an audience schema.
+ * Emails are trimmed, lowercased and SHA-256 hashed, unless already an MD5 or SHA-256 hex digest.
+ * MAIDs (IDFA / GAID) are trimmed, lowercased and checked to be non-zero UUIDs.
+ * identityLink and gum IDs are trimmed and checked for unexpected characters.
+ * @param {string} schema - 'email', 'madid', 'identityLink', or 'gum'
+ * @param {string} value
+ * @returns {object} { value } on success, { error } with the reason otherwise
+ */
+function normalizeIdentifier(schema, value){
+    if (typeof value !== 'string' && typeof value !== 'number'){
+        return { 'error': 'not a string' };
+    }
+    value = String(value).trim();
+    if (!value){
+        return { 'error': 'empty' };
+    }
+    switch (schema){
+        case 'email': {
+            const email = value.toLowerCase();
+            if (HASHED.test(email)){
+                return { 'value': email };
+            }
+            if (!EMAIL.test(email)){
+                return { 'error': 'invalid email address' };
+            }
+            return { 'value': crypto.createHash('sha256').update(email).digest('hex') };
+        }
+        case 'madid': {
+            const madid = value.toLowerCase();
+            if (!UUID.test(madid)){
+                return { 'error': 'invalid MAID, expected a UUID' };
+            }
+            if (/^[0-]+$/.test(madid)){
+                return { 'error': 'zeroed MAID (limited ad tracking)' };
+            }
+            return { 'value': madid };
+        }
+        case 'identityLink':
+        case 'gum':
+            return TOKEN.test(value) ? { 'value': value } : { 'error': `invalid ${schema} identifier` };
+        default:
+            return { 'error': `unsupported schema '${schema}'` };
+    }
+}
+
+/**
+ * Normalize a list of identifiers for an audience schema, see normalizeIdentifier.
+ * @param {string} schema - 'email', 'madid', 'identityLink', or 'gum'
+ * @param {string[]} values
+ * @returns {object} { identifiers, rejected }, where rejected is an array of { index, value, reason }
+ */
+function normalizeIdentifiers(schema, values){
+    const identifiers = [];
+    const rejected = [];
+    values.forEach((value, index) => {
+        const result = normalizeIdentifier(schema, value);
+        if (result.error){
+            rejected.push({ 'index': index, 'value': value, 'reason': result.error });
+        }else{
+            identifiers.push(result.value);
+        }
+    });
+    return { 'identifiers': identifiers, 'rejected': rejected };
+}
+
+module.exports = {
+    readIdentifiers,
+    batchIdentifiers,
+    normalizeIdentifier,
+    normalizeIdentifiers
+};
@@ -0,0 +1,143 @@
+const LEVELS = ['debug', 'info', 'warn'];
+const SECRET_FIELDS = ['client_secret', 'access_token', 'refresh_token', 'authorization', 'password'];
+const REDACTED = '[REDACTED]';
+
+/**
+ * Emits structured events of the client to console, pino, winston or a function, with credentials and tokens redacted.
+ * @class
+ */
+class Event_Logger {
+
+    /**
+     * @param {(object|function)} [logger] - console, a pino or winston logger, or a function of (level, event, fields). Nothing is logged without one.
+     * @param {object} [options]
+     * @param {string} [options.level] - Lowest level emitted: debug, info or warn. Defaults to debug for pino and winston, which filter
+     * events by their own level, and to info otherwise.
+     * @param {boolean} [options.redactIdentifiers=false] - Also redact the identifiers of audience uploads.
+     * @param {string[]} [options.redactFields] - More field names whose values are never logged.
+     */
+    constructor(logger, options = {}){
+        this.logger = logger || null;
+        this.type = detect(logger);
+        this.level = options.level || (this.type === 'pino' || this.type === 'winston' ? 'debug' : 'info');
+        if (LEVELS.indexOf(this.level) < 0){
+            throw new TypeError(`Unknown log level '${this.level}', expected ${LEVELS.join(', ')}`);
+        }
+        this.redactIdentifiers = !!options.redactIdentifiers;
+        this.redactFields = SECRET_FIELDS.concat(options.redactFields || []).map((f) => f.toLowerCase());
+    }
+
+    debug(event, fields){
+        this.log('debug', event, fields);
+    }
+
+    info(event, fields){
+        this.log('info', event, fields);
+    }
+
+    warn(event, fields){
+        this.log('warn', event, fields);
+    }
+
+    /**
+     * @param {string} level - debug, info or warn
+     * @param {string} event - Event name, such as request.end
+     * @param {object} [fields]
+     */
+    log(level, event, fields = {}){
+        if (!this.enabled(level)){
+            return;
+        }
+        const data = { 'event': event, ...this.redact(fields) };
+        try{
+            switch (this.type){
+            case 'function':
+                this.logger(level, event, data);
+                break;
+            case 'pino':
+                this.logger[level](data, event);
+                break;
+            case 'winston':
+                this.logger[level](event, data);
+                break;
+            default:
+                (this.logger[level] || this.logger.log).call(this.logger, `criteo-mapi ${event}`, data);
+            }
+        }catch(e){
+            // A failing logger must not fail the request it reports on
+        }
+    }
+
+    /**
+     * Whether events of a level are emitted, to skip building their fields otherwise.
+     * @param {string} level
+     * @returns {boolean}
+     */
+    enabled(level){
+        return !!this.logger && LEVELS.indexOf(level) >= LEVELS.indexOf(this.level);
+    }
+
+    /**
+     * Copy a value with secret fields, Bearer tokens and form-encoded secrets replaced.
+     * JSON strings, such as request bodies, are parsed so that their fields can be redacted.
+     * @param {*} value
+     * @returns {*}
+     */
+    redact(value, depth = 0){
+        if (typeof value === 'string'){
+            return this.redactString(value, depth);
+        }
+        if (!value || typeof value !== 'object' || depth > 10){
+            return value;
+        }
+        if (Buffer.isBuffer(value)){
+            return `[${value.length} bytes]`;
+        }
+        if (Array.isArray(value)){
+            return value.map((item) => this.redact(item, depth + 1));
+        }
+        const copy = {};
+        for (const key of Object.keys(value)){
+            if (this.redactFields.indexOf(key.toLowerCase()) > -1){
+                copy[key] = REDACTED;
+            }else if (key === 'identifiers' && this.redactIdentifiers && Array.isArray(value[key])){
+                copy[key] = `${REDACTED} (${value[key].length})`;
+            }else{
+                copy[key] = this.redact(value[key], depth + 1);
+            }
+        }
+        return copy;
+    }
+
+    redactString(value, depth){
+        if (/^\s*[[{]/.test(value)){
+            try{
+                return this.redact(JSON.parse(value), depth + 1);
+            }catch(e){
+                // Not JSON, redacted as text
+            }
+        }
+        const fields = this.redactFields.map((f) => f.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+        return value
+            .replace(/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`)
+            .replace(new RegExp(`((?:^|[&?])(?:${fields})=)[^&]*`, 'gi'), `$1${REDACTED}`);
+    }
+}
+
+function detect(logger){
+    if (!logger){
+        return null;
+    }
+    if (typeof logger === 'function'){
+        return 'function';
+    }
+    if (typeof logger.child === 'function' && logger.levels && logger.levels.values){
+        return 'pino';
+    }
+    if (typeof logger.add === 'function' && typeof logger.configure === 'function'){
+        return 'winston';
+    }
+    return 'console';
+}
+
+module.exports = Event_Logger;
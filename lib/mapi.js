@@ -5,10 +5,35 @@
  */
 
 const API_Client = require('./api_client.js');
+const Token_Manager = require('./token_manager.js');
+const Retry_Policy = require('./retry_policy.js');
+const Request_Scheduler = require('./scheduler.js');
+const Event_Logger = require('./logger.js');
+const { eachLimit, wait } = require('./concurrency.js');
+const { readIdentifiers, batchIdentifiers, normalizeIdentifier, normalizeIdentifiers } = require('./identifiers.js');
+const { parseReport, findRows } = require('./report_parser.js');
+const { splitDateRange } = require('./date_range.js');
+const { definitionKey, diffRows } = require('./stats_checkpoint.js');
+const { Stats_Query, validateStatsQuery, queryError } = require('./stats_query.js');
+const { SCHEMAS, validate } = require('./schemas.js');
+const { parseBidChange, planBidChanges } = require('./bids.js');
+const { budgetPacing, budgetStats } = require('./pacing.js');
+const { toCSV } = require('./csv.js');
+const { compose } = require('./middleware.js');
+const { Advertiser, Campaign, Audience, CRP_Seller, CRP_Seller_Campaign, CRP_Budget } = require('./resources.js');
+const { MapiError, MapiAuthError, MapiParseError, MapiValidationError, responseDetails, httpError } = require('./errors.js');
 const fs = require('fs');
+const querystring = require('querystring');
+const { pipeline, finished, Transform } = require('stream');
 const cookie = require('cookie');
 const moment = require('moment');
 
+const DEFAULT_HEADERS = {
+    'Accept': 'application/json, text/xml',
+    'Content-Type': 'application/json',
+    'User-Agent': 'criteo-nodejs-client/0.9.6'
+};
+
 /**
  * Creates a new MAPI Client.
  * @class
@@ -16,34 +41,100 @@ const moment = require('moment');
  */
 class Criteo_MAPI_Client extends API_Client {
 
-    constructor(id, secret, host = 'api.criteo.com', endpoint = '/marketing'){
-        super(host);
+    /**
+     * @param {string} id - API client ID
+     * @param {string} secret - API client secret
+     * @param {string} [host=api.criteo.com]
+     * @param {string} [endpoint=/marketing]
+     * @param {object} [options]
+     * @param {string} [options.protocol=https:] - 'https:' or 'http:'
+     * @param {integer} [options.port] - Port of the API host, if not the protocol default.
+     * @param {integer} [options.timeout=12000] - Request timeout in milliseconds.
+     * @param {boolean} [options.compression=true] - Request gzip, deflate or br compressed responses.
+     * @param {string} [options.proxy] - Proxy URL. Defaults to the HTTPS_PROXY environment variable, set to false to disable.
+     * @param {string} [options.noProxy] - Comma-separated hosts that bypass the proxy. Defaults to the NO_PROXY environment variable.
+     * @param {http.Agent} [options.agent] - Custom agent for all requests.
+     * @param {boolean} [options.keepAlive=false] - Reuse connections between requests.
+     * @param {integer} [options.maxSockets] - Maximum sockets per host when keepAlive is set.
+     * @param {object} [options.tls] - TLS options (ca, cert, key, rejectUnauthorized, etc.) for https requests.
+     * @param {(Cassette|object)} [options.cassette] - Record or replay requests, see Cassette. Either an instance or { filepath, mode }.
+     * @param {integer} [options.tokenRefreshMargin=30000] - Milliseconds before expiry at which the oauth2 token is refreshed.
+     * @param {(object|boolean)} [options.retry] - Retry options for failed requests (see Retry_Policy), or false to disable retries.
+     * @param {object} [options.rateLimit] - Concurrency and requests-per-second limits, by endpoint group (see Request_Scheduler).
+     * @param {(boolean|string)} [options.validateStats=true] - Check statistics queries before sending them (see validateStatsQuery). Set to 'strict' to also reject unknown names.
+     * @param {boolean} [options.validatePayloads=true] - Check the payloads of mutating methods before sending them (see schemas.js).
+     * @param {boolean} [options.dryRun=false] - Resolve write requests with a preview of the request instead of sending them (see withOptions).
+     * @param {function[]} [options.middleware] - Request middleware, see use.
+     * @param {(object|function)} [options.logger] - console, a pino or winston logger, or a function of (level, event, fields), see Event_Logger.
+     * @param {string} [options.logLevel] - Lowest level logged: debug, info or warn.
+     * @param {boolean} [options.redactIdentifiers=false] - Leave audience identifiers out of logged request bodies.
+     */
+    constructor(id, secret, host = 'api.criteo.com', endpoint = '/marketing', options = {}){
+        super(host, options);
         this.endpoint = endpoint;
         this.id = id;
         this.secret = secret;
-        this.token = '';
+        this.auth = new Token_Manager(this.requestToken.bind(this), {
+            'refreshMargin': options.tokenRefreshMargin
+        });
+        this.retryPolicy = new Retry_Policy(options.retry);
+        this.scheduler = new Request_Scheduler(options.rateLimit);
+        this.validateStats = options.validateStats === 'strict' ? 'strict' : options.validateStats !== false;
+        this.validatePayloads = options.validatePayloads !== false;
+        this.dryRun = !!options.dryRun;
+        this.logger = new Event_Logger(options.logger, {
+            'level': options.logLevel,
+            'redactIdentifiers': options.redactIdentifiers
+        });
+        this.middleware = [];
+        (options.middleware || []).forEach((fn) => this.use(fn));
     }
 
-    checkAuthentication(r){
-        return new Promise( (resolve, reject) => {
-            if ((this.token && !r.retry) || r.path === '/oauth2/token'){
-                resolve();
-            }else{
-                reject();
+    /**
+     * Get a view of the client with some options overridden, sharing its token, queues and connections.
+     * @param {object} options
+     * @param {boolean} [options.dryRun] - Resolve write requests (PUT, POST, PATCH, DELETE) with a preview instead of sending them.
+     * @param {(boolean|string)} [options.validateStats]
+     * @param {boolean} [options.validatePayloads]
+     * @returns {Criteo_MAPI_Client}
+     * @example
+     * criteo.withOptions({ dryRun: true }).updateBids(campaigns)
+     *     .then( (preview) => console.log(preview.method, preview.path, preview.body) )
+     */
+    withOptions(options = {}){
+        const client = Object.create(this);
+        for (const key of ['dryRun', 'validateStats', 'validatePayloads']){
+            if (options[key] !== undefined){
+                client[key] = key === 'validateStats' && options[key] === 'strict' ? 'strict' : !!options[key];
             }
-        });
+        }
+        return client;
+    }
+
+    get token(){
+        return this.auth.token;
+    }
+
+    set token(token){
+        this.auth.set(token);
     }
 
     /**
      * Get oauth2 token from id and secret provided on initialization.
+     * Concurrent calls share a single token request.
      * @param {function} [callback] - Optional callback
      */
     authenticate(callback){
+        return this.withCallback(this.auth.refresh(), callback);
+    }
+
+    requestToken(){
         const auth = {
             client_id: encodeURIComponent(this.id),
             client_secret: encodeURIComponent(this.secret),
             grant_type: 'client_credentials'
         };
+        const start = Date.now();
         return this.mapiRequest({
             'method': 'post',
             'path': `/oauth2/token`,
@@ -52,10 +143,117 @@ class Criteo_MAPI_Client extends API_Client {
                 'Content-Type': 'application/x-www-form-urlencoded'
             },
             'handler': this.processAuth.bind(this),
-            'callback': callback
+            'idempotent': true,
+            'readOnly': true
+        })
+        .then((response) => {
+            this.logger.info('auth.refresh', { 'expiresIn': response.expires_in, 'duration': Date.now() - start });
+            return response;
         });
     }
 
+    /**
+     * Get an advertiser resource to navigate from. No request is made.
+     * @param {(integer|string)} id - Criteo advertiser ID
+     * @returns {Advertiser}
+     */
+    advertiser(id){
+        return new Advertiser(this, { 'advertiserId': id });
+    }
+
+    /**
+     * Get the advertisers of the portfolio as resources.
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Advertiser[]>}
+     */
+    advertisers(callback){
+        return this.withCallback(this.getPortfolio().then(this.toResources.bind(this, Advertiser)), callback);
+    }
+
+    /**
+     * Get a campaign as a resource.
+     * @param {(integer|string)} id
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Campaign>}
+     */
+    campaign(id, callback){
+        return this.withCallback(this.getCampaign(id).then((data) => new Campaign(this, data)), callback);
+    }
+
+    /**
+     * Get campaigns as resources, see getCampaigns.
+     * @param {object} options
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Campaign[]>}
+     */
+    campaigns(options = {}, callback){
+        return this.withCallback(this.getCampaigns(options).then(this.toResources.bind(this, Campaign)), callback);
+    }
+
+    /**
+     * Get the audiences of an advertiser as resources.
+     * @param {(integer|string)} [advertiser] - Criteo advertiser ID
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Audience[]>}
+     */
+    audiences(advertiser, callback){
+        return this.withCallback(this.getAudiences(advertiser).then(this.toResources.bind(this, Audience)), callback);
+    }
+
+    /**
+     * Get a CRP seller as a resource.
+     * @param {(integer|string)} id - Seller ID
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<CRP_Seller>}
+     */
+    crpSeller(id, callback){
+        return this.withCallback(this.getCRPSeller(id).then((data) => new CRP_Seller(this, data)), callback);
+    }
+
+    /**
+     * Get CRP sellers as resources, see getCRPSellers.
+     * @param {object} [options]
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<CRP_Seller[]>}
+     */
+    crpSellers(options = {}, callback){
+        return this.withCallback(this.getCRPSellers(options).then(this.toResources.bind(this, CRP_Seller)), callback);
+    }
+
+    /**
+     * Get a CRP seller campaign as a resource.
+     * @param {string} id - Seller campaign ID
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<CRP_Seller_Campaign>}
+     */
+    crpSellerCampaign(id, callback){
+        return this.withCallback(this.getCRPCampaign(id).then((data) => new CRP_Seller_Campaign(this, data)), callback);
+    }
+
+    /**
+     * Get a CRP budget as a resource.
+     * @param {(integer|string)} id - Budget ID
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<CRP_Budget>}
+     */
+    crpBudget(id, callback){
+        return this.withCallback(this.getCRPBudget(id).then((data) => new CRP_Budget(this, data)), callback);
+    }
+
+    /**
+     * Get CRP budgets as resources, see getCRPBudgets.
+     * @param {object} [options]
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<CRP_Budget[]>}
+     */
+    crpBudgets(options = {}, callback){
+        return this.withCallback(this.getCRPBudgets(options).then(this.toResources.bind(this, CRP_Budget)), callback);
+    }
+
+    toResources(Type, list){
+        return (list || []).map((data) => new Type(this, data));
+    }
+
     /**
      * Get campaigns for a single advertiser.
      * @param {(integer|string)} advertiser - Criteo advertiser ID
@@ -141,6 +339,8 @@ class Criteo_MAPI_Client extends API_Client {
             'path': `/v1/audiences/userlist`,
             'body': JSON.stringify(data),
             'handler': this.processJSON.bind(this),
+            'schema': 'createAudience',
+            'payload': data,
             'callback': callback
         });
     }
@@ -177,6 +377,8 @@ class Criteo_MAPI_Client extends API_Client {
             'path': `/v1/audiences/${audience}`,
             'body': JSON.stringify(data),
             'handler': this.processResponse.bind(this),
+            'schema': 'updateAudience',
+            'payload': data,
             'callback': callback
         });
     }
@@ -200,24 +402,15 @@ class Criteo_MAPI_Client extends API_Client {
      * @param {(integer|string)} audience - Audience ID
      * @param {object} options
      * @param {string} options.schema - 'email', 'madid', 'identityLink', or 'gum'
-     * @param {string[]} options.identifiers - An array of ids (limit 50000 per call)
+     * @param {string[]} options.identifiers - An array of ids (limit 50000 per call, see bulkAddToAudience for more)
      * @param {(integer|string)} [options.gumCallerId] - Required when adding audience via gum IDs.
+     * @param {boolean} [options.normalize=false] - Trim, lowercase and validate ids, and SHA-256 hash emails, before sending.
+     * @param {boolean} [options.skipInvalid=false] - With normalize, send the valid ids only instead of rejecting with a MapiValidationError.
+     * @param {function} [options.onRejected] - With normalize, called with the rejected ids ({ index, value, reason }) before sending.
      * @param {function} [callback] - Optional callback
      */
     addToAudience(audience, options = {}, callback){
-        const data = {
-            'operation': 'add',
-            'schema': options.schema,
-            'identifiers': options.identifiers,
-            'gumCallerId': options.gumCallerId
-        };
-        return this.mapiRequest({
-            'method': 'patch',
-            'path': `/v1/audiences/userlist/${audience}`,
-            'body': JSON.stringify(data),
-            'handler': this.processJSON.bind(this),
-            'callback': callback
-        });
+        return this.updateAudienceUsers('add', audience, options, callback);
     }
 
     /**
@@ -225,15 +418,36 @@ class Criteo_MAPI_Client extends API_Client {
      * @param {(integer|string)} audience - Audience ID
      * @param {object} options
      * @param {string} options.schema - 'email', 'madid', 'identityLink', or 'gum'
-     * @param {string[]} options.identifiers - An array of ids (limit 50000 per call)
+     * @param {string[]} options.identifiers - An array of ids (limit 50000 per call, see bulkRemoveFromAudience for more)
      * @param {(integer|string)} [options.gumCallerId] - Required when adding audience via gum IDs.
+     * @param {boolean} [options.normalize=false] - Trim, lowercase and validate ids, and SHA-256 hash emails, before sending.
+     * @param {boolean} [options.skipInvalid=false] - With normalize, send the valid ids only instead of rejecting with a MapiValidationError.
+     * @param {function} [options.onRejected] - With normalize, called with the rejected ids ({ index, value, reason }) before sending.
      * @param {function} [callback] - Optional callback
      */
     removeFromAudience(audience, options = {}, callback){
+        return this.updateAudienceUsers('remove', audience, options, callback);
+    }
+
+    updateAudienceUsers(operation, audience, options, callback){
+        let identifiers = options.identifiers;
+        if (options.normalize){
+            const result = normalizeIdentifiers(options.schema, identifiers || []);
+            if (result.rejected.length && options.onRejected){
+                options.onRejected(result.rejected);
+            }
+            if (result.rejected.length && !options.skipInvalid){
+                const err = new MapiValidationError(`${result.rejected.length} identifiers rejected for schema '${options.schema}'`, {
+                    'errors': result.rejected
+                });
+                return this.withCallback(Promise.reject(err), callback);
+            }
+            identifiers = result.identifiers;
+        }
         const data = {
-            'operation': 'remove',
+            'operation': operation,
             'schema': options.schema,
-            'identifiers': options.identifiers,
+            'identifiers': identifiers,
             'gumCallerId': options.gumCallerId
         };
         return this.mapiRequest({
@@ -241,10 +455,238 @@ class Criteo_MAPI_Client extends API_Client {
             'path': `/v1/audiences/userlist/${audience}`,
             'body': JSON.stringify(data),
             'handler': this.processJSON.bind(this),
+            'schema': 'updateAudienceUsers',
+            'payload': data,
+            // Adding or removing the same users again has no further effect, so failed uploads are retried
+            'idempotent': true,
             'callback': callback
         });
     }
 
+    /**
+     * Add any number of users to an audience, uploading them in batches.
+     * @param {(integer|string)} audience - Audience ID
+     * @param {object} options
+     * @param {string} options.schema - 'email', 'madid', 'identityLink', or 'gum'
+     * @param {(string[]|Iterable|AsyncIterable|Readable)} options.identifiers - Ids as an array, an (async) iterable, or a stream with one id per line
+     * @param {(integer|string)} [options.gumCallerId] - Required when adding audience via gum IDs.
+     * @param {integer} [options.batchSize=50000] - Ids per call (limit 50000)
+     * @param {integer} [options.concurrency=2] - Batches uploaded at once
+     * @param {boolean} [options.normalize=false] - Trim, lowercase and validate ids, and SHA-256 hash emails. All ids are read and checked before the first batch is sent.
+     * @param {boolean} [options.skipInvalid=false] - With normalize, send the valid ids instead of rejecting with a MapiValidationError.
+     * @param {function} [options.onRejected] - With normalize, called with all rejected ids ({ index, value, reason }) before the first batch is sent.
+     * @param {function} [options.onBatch] - Called with each batch report as it completes
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<object>} Report of the upload: { batches, total, accepted, failed, rejected }. Failed batches are retried as the retry policy allows.
+     */
+    bulkAddToAudience(audience, options = {}, callback){
+        return this.withCallback(this.uploadAudienceBatches('addToAudience', audience, options), callback);
+    }
+
+    /**
+     * Remove any number of users from an audience, uploading them in batches.
+     * @param {(integer|string)} audience - Audience ID
+     * @param {object} options
+     * @param {string} options.schema - 'email', 'madid', 'identityLink', or 'gum'
+     * @param {(string[]|Iterable|AsyncIterable|Readable)} options.identifiers - Ids as an array, an (async) iterable, or a stream with one id per line
+     * @param {(integer|string)} [options.gumCallerId] - Required when removing audience via gum IDs.
+     * @param {integer} [options.batchSize=50000] - Ids per call (limit 50000)
+     * @param {integer} [options.concurrency=2] - Batches uploaded at once
+     * @param {boolean} [options.normalize=false] - Trim, lowercase and validate ids, and SHA-256 hash emails. All ids are read and checked before the first batch is sent.
+     * @param {boolean} [options.skipInvalid=false] - With normalize, send the valid ids instead of rejecting with a MapiValidationError.
+     * @param {function} [options.onRejected] - With normalize, called with all rejected ids ({ index, value, reason }) before the first batch is sent.
+     * @param {function} [options.onBatch] - Called with each batch report as it completes
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<object>} Report of the upload: { batches, total, accepted, failed, rejected }. Failed batches are retried as the retry policy allows.
+     */
+    bulkRemoveFromAudience(audience, options = {}, callback){
+        return this.withCallback(this.uploadAudienceBatches('removeFromAudience', audience, options), callback);
+    }
+
+    uploadAudienceBatches(method, audience, options){
+        const { batchSize = 50000, concurrency = 2, onBatch } = options;
+        const prepare = options.normalize ?
+            this.normalizeAllIdentifiers(options.schema, options.identifiers || []) :
+            Promise.resolve({ 'identifiers': options.identifiers || [], 'rejected': [] });
+        let rejected;
+        return prepare
+            .then((result) => {
+                rejected = result.rejected;
+                if (rejected.length && options.onRejected){
+                    options.onRejected(rejected);
+                }
+                if (rejected.length && !options.skipInvalid){
+                    throw new MapiValidationError(`${rejected.length} identifiers rejected for schema '${options.schema}'`, {
+                        'errors': rejected
+                    });
+                }
+                const batches = batchIdentifiers(result.identifiers, Math.min(batchSize, 50000));
+                return eachLimit(batches, concurrency, (identifiers, index) => {
+                    return this.uploadAudienceBatch(method, audience, { ...options, 'identifiers': identifiers })
+                        .then((upload) => {
+                            const report = { 'batch': index, 'size': identifiers.length, ...upload };
+                            if (onBatch){
+                                onBatch(report);
+                            }
+                            return report;
+                        });
+                });
+            })
+            .then((reports) => ({
+                'batches': reports,
+                'total': reports.reduce((sum, b) => sum + b.size, 0),
+                'accepted': reports.reduce((sum, b) => sum + b.accepted, 0),
+                'failed': reports.reduce((sum, b) => sum + b.failed, 0),
+                'rejected': rejected.length
+            }));
+    }
+
+    uploadAudienceBatch(method, audience, options){
+        const size = options.identifiers.length;
+        return this[method](audience, {
+                'schema': options.schema,
+                'identifiers': options.identifiers,
+                'gumCallerId': options.gumCallerId
+            })
+            .then((res) => ({
+                'accepted': res.nbValidIdentifiers === undefined ? size : res.nbValidIdentifiers,
+                'failed': size - (res.nbValidIdentifiers === undefined ? size : res.nbValidIdentifiers),
+                'response': res
+            }))
+            .catch((err) => ({
+                'accepted': 0,
+                'failed': size,
+                'error': err
+            }));
+    }
+
+    /**
+     * Make an audience contain exactly the given users.
+     * Identifiers are normalized (see addToAudience) and compared with the members recorded in a local state file
+     * by the previous sync; only the difference is added or removed. The state file is updated once every batch succeeded,
+     * and never in dry run.
+     * @param {(integer|string)} audience - Audience ID
+     * @param {(string[]|Iterable|AsyncIterable|Readable)} identifiers - All users that should be in the audience
+     * @param {object} options
+     * @param {string} options.stateFile - Path of the JSON file holding the audience members after the last sync.
+     * @param {string} options.schema - 'email', 'madid', 'identityLink', or 'gum'
+     * @param {(integer|string)} [options.gumCallerId] - Required for gum IDs.
+     * @param {boolean} [options.reset=false] - Remove all users with wipeAudience first, then add every identifier.
+     * @param {integer} [options.batchSize=50000] - Ids per call
+     * @param {integer} [options.concurrency=2] - Batches uploaded at once
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<object>} { added, removed, unchanged, rejected, saved }, where added and removed are bulk upload reports.
+     */
+    syncAudience(audience, identifiers, options = {}, callback){
+        return this.withCallback(this.runAudienceSync(audience, identifiers, options), callback);
+    }
+
+    runAudienceSync(audience, identifiers, options){
+        const { stateFile, schema, reset = false } = options;
+        if (!stateFile || !schema){
+            return Promise.reject(new MapiValidationError('syncAudience requires options.stateFile and options.schema'));
+        }
+        const upload = {
+            'schema': schema,
+            'gumCallerId': options.gumCallerId,
+            'batchSize': options.batchSize,
+            'concurrency': options.concurrency
+        };
+        let previous, desired, rejected;
+        return Promise.all([
+                this.readAudienceState(stateFile, audience, schema),
+                this.collectIdentifiers(schema, identifiers)
+            ])
+            .then(([state, collected]) => {
+                previous = reset ? new Set() : state;
+                desired = collected.members;
+                rejected = collected.rejected;
+                return reset ? this.wipeAudience(audience) : null;
+            })
+            .then(() => this.bulkAddToAudience(audience, { ...upload, 'identifiers': [...desired].filter((id) => !previous.has(id)) }))
+            .then((added) => this.bulkRemoveFromAudience(audience, { ...upload, 'identifiers': [...previous].filter((id) => !desired.has(id)) })
+                .then((removed) => {
+                    const result = {
+                        'added': added,
+                        'removed': removed,
+                        'unchanged': desired.size - added.total,
+                        'rejected': rejected,
+                        'saved': false
+                    };
+                    if (this.dryRun || added.batches.concat(removed.batches).some((b) => b.error)){
+                        return result;
+                    }
+                    return this.writeAudienceState(stateFile, audience, schema, desired)
+                        .then(() => ({ ...result, 'saved': true }));
+                }));
+    }
+
+    collectIdentifiers(schema, identifiers){
+        return this.normalizeAllIdentifiers(schema, identifiers)
+            .then((result) => ({ 'members': new Set(result.identifiers), 'rejected': result.rejected }));
+    }
+
+    /**
+     * Read and normalize every identifier of an array, (async) iterable or stream.
+     * @returns {Promise<object>} { identifiers, rejected }, with the index of each rejected id in the whole input
+     */
+    normalizeAllIdentifiers(schema, identifiers){
+        const valid = [];
+        const rejected = [];
+        let index = 0;
+        const collect = async () => {
+            for await (const value of readIdentifiers(identifiers)){
+                const result = normalizeIdentifier(schema, value);
+                if (result.error){
+                    rejected.push({ 'index': index, 'value': value, 'reason': result.error });
+                }else{
+                    valid.push(result.value);
+                }
+                index++;
+            }
+            return { 'identifiers': valid, 'rejected': rejected };
+        };
+        return collect();
+    }
+
+    readAudienceState(stateFile, audience, schema){
+        return new Promise( (resolve, reject) => {
+            fs.readFile(stateFile, 'utf8', (err, data) => {
+                if (err){
+                    return err.code === 'ENOENT' ? resolve(new Set()) : reject(new MapiError(`Error Reading Audience State. ${err}`, { 'code': err.code, 'filepath': stateFile }));
+                }
+                try{
+                    const state = JSON.parse(data);
+                    if (String(state.audienceId) !== String(audience) || state.schema !== schema){
+                        return reject(new MapiValidationError(`State file ${stateFile} belongs to audience ${state.audienceId} (${state.schema}), not ${audience} (${schema})`));
+                    }
+                    resolve(new Set(state.members));
+                }catch(e){
+                    reject(new MapiParseError(`Error Parsing Audience State: ${e}`, { 'filepath': stateFile }));
+                }
+            });
+        });
+    }
+
+    writeAudienceState(stateFile, audience, schema, members){
+        const state = {
+            'audienceId': audience,
+            'schema': schema,
+            'updated': new Date().toISOString(),
+            'members': [...members]
+        };
+        return new Promise( (resolve, reject) => {
+            fs.writeFile(stateFile, JSON.stringify(state), (err) => {
+                if (err){
+                    reject(new MapiError(`Error Saving Audience State. ${err}`, { 'code': err.code, 'filepath': stateFile }));
+                }else{
+                    this.logger.debug('file.saved', { 'filepath': stateFile, 'audienceId': audience, 'members': state.members.length });
+                    resolve();
+                }
+            });
+        });
+    }
+
     /**
      * Get budgets for a list of advertisers or budget IDs.
      * @param {object} options
@@ -362,8 +804,8 @@ class Criteo_MAPI_Client extends API_Client {
      * @param {(integer|string)} campaigns[].campaignId
      * @param {(number|string)} campaigns[].bidValue
      * @param {object[]} [campaigns[].categories] - An array of category objects, specifying bids that overwrite the overall campaign bid value.
-     * @param {(integer|string)} [campaigns[].categories[].categoryHashCode]
-     * @param {(number|string)} [campaigns[].categories[].bidValue]
+     * @param {(integer|string)} campaigns[].categories[].categoryHashCode
+     * @param {(number|string)} campaigns[].categories[].bidValue - Must be non-negative
      * @param {function} [callback] - Optional callback
      */
     updateBids(campaigns = [], callback){
@@ -372,10 +814,67 @@ class Criteo_MAPI_Client extends API_Client {
             'path': `/v1/campaigns/bids`,
             'body': JSON.stringify(campaigns),
             'handler': this.processJSON.bind(this),
+            'schema': 'updateBids',
+            'payload': campaigns,
             'callback': callback
         });
     }
 
+    /**
+     * Change the bids of many campaigns at once.
+     * Bids matching the filter are fetched with getBids, the change is applied to campaign and category bids
+     * (with per-category overrides, then capped), and updateBids is called with the changed bids only.
+     * In dry run, the updateBids call resolves with its preview.
+     * @param {object} options
+     * @param {object} [options.filter] - getBids filters: advertiserIds, campaignStatus, bidType, etc.
+     * @param {(string|number|function)} options.change - '+10%', '-0.05', a bid value to set, or a function of (bid, { campaign, category }).
+     * @param {object} [options.categories] - Changes by category hash code, replacing options.change for those categories.
+     * @param {number} [options.min] - Lowest bid allowed, lower bids are raised to it.
+     * @param {number} [options.max] - Highest bid allowed, higher bids are lowered to it.
+     * @param {integer} [options.precision=2] - Decimals new bids are rounded to.
+     * @param {function} [options.confirm] - Called with the changes; bids are only updated if it returns or resolves true.
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<object>} { changes, payload, applied, response }, where changes lists { campaignId, advertiserId, categoryHashCode, before, after, capped }.
+     */
+    adjustBids(options = {}, callback){
+        return this.withCallback(this.runBidAdjustment(options), callback);
+    }
+
+    runBidAdjustment(options){
+        const { filter = {} } = options;
+        const errors = [];
+        const change = parseBidChange(options.change);
+        if (!change){
+            errors.push({ 'path': 'change', 'message': `change ${JSON.stringify(options.change)} is not a percentage, amount, bid or function` });
+        }
+        const categories = {};
+        for (const hash in options.categories || {}){
+            categories[hash] = parseBidChange(options.categories[hash]);
+            if (!categories[hash]){
+                errors.push({ 'path': `categories.${hash}`, 'message': `categories.${hash} ${JSON.stringify(options.categories[hash])} is not a percentage, amount, bid or function` });
+            }
+        }
+        if (options.min !== undefined && options.max !== undefined && options.min > options.max){
+            errors.push({ 'path': 'min', 'message': `min ${options.min} is above max ${options.max}` });
+        }
+        if (errors.length){
+            return Promise.reject(new MapiValidationError(`Invalid bid adjustment. ${errors.map((e) => e.message).join('; ')}`, { 'errors': errors }));
+        }
+        const matches = (campaign) => ['campaignStatus', 'bidType'].every((key) => !filter[key] || campaign[key] === filter[key]) &&
+            (!filter.advertiserIds || String(filter.advertiserIds).split(',').indexOf(String(campaign.advertiserId)) > -1);
+        return this.getBids(filter)
+            .then((campaigns) => {
+                const plan = planBidChanges(campaigns.filter(matches), { ...options, 'change': change, 'categories': categories });
+                const result = { ...plan, 'applied': false, 'response': null };
+                if (!plan.payload.length){
+                    return result;
+                }
+                return Promise.resolve(options.confirm ? options.confirm(plan.changes) : true)
+                    .then((confirmed) => !confirmed ? result : this.updateBids(plan.payload)
+                        .then((res) => ({ ...result, 'applied': !this.dryRun, 'response': res })));
+            });
+    }
+
     /**
      * Get categories by campaigns, advertisers, or a list of categories.
      * @param {object} options
@@ -416,6 +915,8 @@ class Criteo_MAPI_Client extends API_Client {
             'path': `/v1/categories`,
             'body': JSON.stringify(catalogs),
             'handler': this.processJSON.bind(this),
+            'schema': 'updateCategories',
+            'payload': catalogs,
             'callback': callback
         });
     }
@@ -433,6 +934,50 @@ class Criteo_MAPI_Client extends API_Client {
         });
     }
 
+    /**
+     * Run a per-advertiser method for every advertiser of the portfolio, with bounded concurrency.
+     * Failures are collected per advertiser rather than rejecting the whole run.
+     * @param {(string|function)} method - Name of a method taking the advertiser ID first (getCampaignsByAdvertiser, getAudiences, etc.),
+     * or a function of (client, advertiserId, advertiser) returning a Promise.
+     * @param {object} [options]
+     * @param {Array} [options.args] - Arguments passed to the method after the advertiser ID.
+     * @param {(function|Array)} [options.filter] - Advertiser IDs to include, or a function of ({ advertiserId, advertiserName }).
+     * @param {integer} [options.concurrency=4] - Advertisers processed at once
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<object>} { results, items, errors }: the result of each advertiser ({ advertiserId, advertiserName, result }),
+     * the items of all array results merged and tagged with their advertiserId, and the failures ({ advertiserId, advertiserName, error }).
+     */
+    forEachAdvertiser(method, options = {}, callback){
+        return this.withCallback(this.runForEachAdvertiser(method, options), callback);
+    }
+
+    runForEachAdvertiser(method, options){
+        const { args = [], filter, concurrency = 4 } = options;
+        const call = typeof method === 'function' ? method : (client, id) => client[method](id, ...args);
+        if (typeof method !== 'function' && typeof this[method] !== 'function'){
+            return Promise.reject(new MapiValidationError(`Unknown method '${method}'`));
+        }
+        const include = typeof filter === 'function' ? filter :
+            Array.isArray(filter) ? (a) => filter.map(String).indexOf(String(a.advertiserId)) > -1 :
+            () => true;
+        return this.getPortfolio()
+            .then((portfolio) => eachLimit((portfolio || []).filter(include), concurrency, (advertiser) =>
+                Promise.resolve()
+                    .then(() => call(this, advertiser.advertiserId, advertiser))
+                    .then((result) => ({ 'advertiserId': advertiser.advertiserId, 'advertiserName': advertiser.advertiserName, 'result': result }))
+                    .catch((error) => ({ 'advertiserId': advertiser.advertiserId, 'advertiserName': advertiser.advertiserName, 'error': error }))))
+            .then((outcomes) => {
+                const results = outcomes.filter((o) => !o.error);
+                const items = [];
+                for (const { advertiserId, result } of results){
+                    for (const item of Array.isArray(result) ? result : []){
+                        items.push(item && typeof item === 'object' ? { 'advertiserId': advertiserId, ...item } : { 'advertiserId': advertiserId, 'value': item });
+                    }
+                }
+                return { 'results': results, 'items': items, 'errors': outcomes.filter((o) => o.error) };
+            });
+    }
+
     /**
      * Get publisher-level data by advertisers.
      * @param {object} options
@@ -452,13 +997,24 @@ class Criteo_MAPI_Client extends API_Client {
             'path': `/v1/publishers/stats`,
             'body': JSON.stringify(data),
             'handler': this.processJSON.bind(this),
+            'idempotent': true,
+            'readOnly': true,
             'callback': callback
         });
     }
 
+    /**
+     * Start a statistics query with the fluent builder.
+     * @param {object} [query] - Query to start from
+     * @returns {Stats_Query}
+     */
+    statsQuery(query){
+        return new Stats_Query(query);
+    }
+
     /**
      * Get reporting on campaign performance.
-     * @param {object} query
+     * @param {(object|Stats_Query)} query
      * @param {string} [query.advertiserIds] - List of advertiser IDs, comma-separated.
      * @param {string} [query.currency] - ISO Format, three letters
      * @param {string} query.startDate - Start date of the report, will be auto-converted to ISO for convenience
@@ -467,11 +1023,27 @@ class Criteo_MAPI_Client extends API_Client {
      * @param {string[]} query.dimensions - AdvertiserId, CampaignId, Hour, Day, etc.
      * @param {string[]} query.metrics - Clicks, Displays, AdvertiserCost, etc.
      * @param {string} [query.timezone] - GMT, PST or JST
-     * @param {string} [filepath] - The directory path of a file to save the results to.
+     * @param {(string|object)} [output] - The file path to save the results to, or output options.
+     * @param {string} [output.filepath] - The file path to save the results to. Results are streamed to disk.
+     * @param {boolean} [output.stream] - Resolve with a Readable stream of the results instead of buffering them.
+     * @param {function} [output.onProgress] - Called with ({ bytes, total }) as results are received.
+     * @param {(boolean|object)} [output.parse] - Resolve with an array of row objects (CSV, XML or JSON format), with numeric metrics and Day / Hour as Dates.
+     * @param {string} [output.parse.decimal] - Decimal separator of metric values, '.' or ','. Detected by default.
+     * @param {string} [output.chunk] - Split the date range by 'day', 'week' or 'month', request each part and merge the results. See getStatsInChunks.
+     * @param {integer} [output.concurrency=2] - With chunk, parts requested at once
      * @param {function} [callback] - Optional callback
      */
-    getReport(query, filepath, callback){
-        let handler = this.determineStatsHandler(query, filepath);
+    getReport(query, output, callback){
+        output = this.outputOptions(output);
+        query = query instanceof Stats_Query ? query.toJSON() : query;
+        const invalid = this.checkStatsQuery(query, output, 'report');
+        if (invalid){
+            return this.withCallback(Promise.reject(invalid), callback);
+        }
+        if (output.chunk){
+            return this.withCallback(this.getStatsInChunks('getReport', query, output), callback);
+        }
+        let handler = this.determineStatsHandler(query, output);
         query.startDate = new Date(query.startDate).toISOString();
         query.endDate = new Date(query.endDate).toISOString();
         return this.mapiRequest({
@@ -479,13 +1051,16 @@ class Criteo_MAPI_Client extends API_Client {
             'path': `/v1/statistics/report`,
             'body': JSON.stringify(query),
             'handler': handler,
+            'idempotent': true,
+            'readOnly': true,
+            'stream': !!(output.filepath || output.stream),
             'callback': callback
         });
     }
 
     /**
      * Get reporting on campaign performance.
-     * @param {object} query
+     * @param {(object|Stats_Query)} query
      * @param {string} query.reportType - CampaignPerformance, FacebookDPA or TransactionID
      * @param {boolean} [query.ignoreXDevice=false] - Ignore cross-device data.
      * @param {string} [query.advertiserIds] - List of advertiser IDs, comma-separated.
@@ -496,11 +1071,27 @@ class Criteo_MAPI_Client extends API_Client {
      * @param {string} query.format - CSV, Excel, XML or JSON
      * @param {string} [query.currency] - ISO Format, three letters
      * @param {string} [query.timezone] - GMT, PST or JST
-     * @param {string} [filepath] - The directory path of a file to save the results to.
+     * @param {(string|object)} [output] - The file path to save the results to, or output options.
+     * @param {string} [output.filepath] - The file path to save the results to. Results are streamed to disk.
+     * @param {boolean} [output.stream] - Resolve with a Readable stream of the results instead of buffering them.
+     * @param {function} [output.onProgress] - Called with ({ bytes, total }) as results are received.
+     * @param {(boolean|object)} [output.parse] - Resolve with an array of row objects (CSV, XML or JSON format), with numeric metrics and Day / Hour as Dates.
+     * @param {string} [output.parse.decimal] - Decimal separator of metric values, '.' or ','. Detected by default.
+     * @param {string} [output.chunk] - Split the date range by 'day', 'week' or 'month', request each part and merge the results. See getStatsInChunks.
+     * @param {integer} [output.concurrency=2] - With chunk, parts requested at once
      * @param {function} [callback] - Optional callback
      */
-    getStats(query, filepath, callback){
-        let handler = this.determineStatsHandler(query, filepath);
+    getStats(query, output, callback){
+        output = this.outputOptions(output);
+        query = query instanceof Stats_Query ? query.toJSON() : query;
+        const invalid = this.checkStatsQuery(query, output, 'statistics');
+        if (invalid){
+            return this.withCallback(Promise.reject(invalid), callback);
+        }
+        if (output.chunk){
+            return this.withCallback(this.getStatsInChunks('getStats', query, output), callback);
+        }
+        let handler = this.determineStatsHandler(query, output);
         query.startDate = new Date(query.startDate).toISOString();
         query.endDate = new Date(query.endDate).toISOString();
         return this.mapiRequest({
@@ -508,10 +1099,133 @@ class Criteo_MAPI_Client extends API_Client {
             'path': `/v1/statistics`,
             'body': JSON.stringify(query),
             'handler': handler,
+            'idempotent': true,
+            'readOnly': true,
+            'stream': !!(output.filepath || output.stream),
             'callback': callback
         });
     }
 
+    /**
+     * Fetch the rows of a report that are new or changed since the previous sync.
+     * A checkpoint per report definition (reportType, dimensions, metrics and advertiserIds) is kept in a local JSON file:
+     * the last day fetched, and a hash of each row of the lookback window. Each run fetches the days after the
+     * checkpoint plus the lookback window, where late-attributed conversions can still change the figures.
+     * The checkpoint is saved once the rows are handled, so rows are emitted again if the run fails. It is not saved in dry run.
+     * @param {object} query - Statistics query, see getStats. Requires a Day or Hour dimension.
+     * @param {string} [query.startDate] - First day to fetch when there is no checkpoint yet.
+     * @param {string} [query.endDate] - Last day to fetch, today (UTC) by default.
+     * @param {object} options
+     * @param {string} options.checkpointFile - Path of the JSON file holding the checkpoints.
+     * @param {integer} [options.lookback=7] - Days before the checkpoint fetched again.
+     * @param {function} [options.onRows] - Called with the new and changed rows before the checkpoint is saved. May return a Promise; if it rejects, the checkpoint is not saved.
+     * @param {string} [options.chunk] - Split the fetched range, see getStatsInChunks.
+     * @param {(boolean|object)} [options.parse] - Row parsing options, see getStats.
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<object>} { startDate, endDate, rows, added, changed, unchanged, saved }, where rows holds the added then the changed rows.
+     */
+    syncStats(query, options = {}, callback){
+        return this.withCallback(this.runStatsSync(query, options), callback);
+    }
+
+    runStatsSync(query, options){
+        const { checkpointFile, lookback = 7 } = options;
+        if (!checkpointFile){
+            return Promise.reject(new MapiValidationError('syncStats requires options.checkpointFile'));
+        }
+        if (!(query.dimensions || []).some((d) => d === 'Day' || d === 'Hour')){
+            return Promise.reject(new MapiValidationError('syncStats requires a Day or Hour dimension'));
+        }
+        const key = definitionKey(query);
+        const endDate = moment.utc(query.endDate ? new Date(query.endDate) : new Date()).format('YYYY-MM-DD');
+        let checkpoint, startDate;
+        return this.readStatsCheckpoints(checkpointFile)
+            .then((checkpoints) => {
+                checkpoint = checkpoints[key] || { 'days': {} };
+                if (checkpoint.lastDate){
+                    startDate = moment.utc(checkpoint.lastDate).add(1 - lookback, 'days');
+                    if (query.startDate && startDate.isBefore(moment.utc(new Date(query.startDate)))){
+                        startDate = moment.utc(new Date(query.startDate));
+                    }
+                    startDate = startDate.format('YYYY-MM-DD');
+                }else if (query.startDate){
+                    startDate = moment.utc(new Date(query.startDate)).format('YYYY-MM-DD');
+                }else{
+                    throw new MapiValidationError('syncStats requires query.startDate for its first run');
+                }
+                if (startDate > endDate){
+                    return [];
+                }
+                return this.getStats({ ...query, 'format': 'JSON', 'startDate': startDate, 'endDate': endDate }, {
+                    'parse': options.parse || true,
+                    'chunk': options.chunk,
+                    'concurrency': options.concurrency
+                });
+            })
+            .then((rows) => {
+                const diff = diffRows(rows, query, checkpoint.days);
+                const keepFrom = moment.utc(endDate).add(1 - lookback, 'days').format('YYYY-MM-DD');
+                const days = {};
+                for (const day of Object.keys(checkpoint.days).concat(Object.keys(diff.days))){
+                    if (day >= keepFrom){
+                        days[day] = diff.days[day] || (day < startDate ? checkpoint.days[day] : {});
+                    }
+                }
+                const result = {
+                    'startDate': startDate,
+                    'endDate': endDate,
+                    'rows': diff.added.concat(diff.changed),
+                    'added': diff.added,
+                    'changed': diff.changed,
+                    'unchanged': diff.unchanged,
+                    'saved': false
+                };
+                if (startDate > endDate){
+                    return result;
+                }
+                return Promise.resolve(options.onRows ? options.onRows(result.rows, result) : null)
+                    .then(() => this.dryRun ? result : this.writeStatsCheckpoint(checkpointFile, key, {
+                        'reportType': query.reportType,
+                        'dimensions': query.dimensions,
+                        'metrics': query.metrics,
+                        'advertiserIds': query.advertiserIds,
+                        'lastDate': endDate,
+                        'updated': new Date().toISOString(),
+                        'days': days
+                    }).then(() => ({ ...result, 'saved': true })));
+            });
+    }
+
+    readStatsCheckpoints(checkpointFile){
+        return new Promise( (resolve, reject) => {
+            fs.readFile(checkpointFile, 'utf8', (err, data) => {
+                if (err){
+                    return err.code === 'ENOENT' ? resolve({}) : reject(new MapiError(`Error Reading Stats Checkpoint. ${err}`, { 'code': err.code, 'filepath': checkpointFile }));
+                }
+                try{
+                    resolve(JSON.parse(data));
+                }catch(e){
+                    reject(new MapiParseError(`Error Parsing Stats Checkpoint: ${e}`, { 'filepath': checkpointFile }));
+                }
+            });
+        });
+    }
+
+    writeStatsCheckpoint(checkpointFile, key, checkpoint){
+        return this.readStatsCheckpoints(checkpointFile)
+            .then((checkpoints) => new Promise( (resolve, reject) => {
+                checkpoints[key] = checkpoint;
+                fs.writeFile(checkpointFile, JSON.stringify(checkpoints), (err) => {
+                    if (err){
+                        reject(new MapiError(`Error Saving Stats Checkpoint. ${err}`, { 'code': err.code, 'filepath': checkpointFile }));
+                    }else{
+                        this.logger.debug('file.saved', { 'filepath': checkpointFile, 'checkpoint': key });
+                        resolve();
+                    }
+                });
+            }));
+    }
+
     /**
      * Get CRP seller by ID.
      * @param {(integer|string)} id - Seller ID
@@ -637,6 +1351,8 @@ class Criteo_MAPI_Client extends API_Client {
             'path': `/v2/crp/seller-campaigns/${campaign}`,
             'query': data,
             'handler': this.processJSON.bind(this),
+            'schema': 'updateCRPBidByCampaign',
+            'payload': { 'id': campaign, 'bid': bid },
             'callback': callback
         });
     }
@@ -679,6 +1395,8 @@ class Criteo_MAPI_Client extends API_Client {
             'path': `/v2/crp/seller-campaigns`,
             'body': JSON.stringify(campaigns),
             'handler': this.processJSON.bind(this),
+            'schema': 'updateCRPBidsByCampaigns',
+            'payload': campaigns,
             'callback': callback
         });
     }
@@ -739,13 +1457,15 @@ class Criteo_MAPI_Client extends API_Client {
      * @param {function} [callback] - Optional callback
      */
     updateCRPBudget(id, update = {}, callback){
-        update.startDate ? update.startDate = moment(update.startDate).format('YYYY-MM-DD') : null;
-        update.endDate ? update.endDate = moment(update.endDate).format('YYYY-MM-DD') : null;
+        update.startDate ? update.startDate = this.formatDay(update.startDate) : null;
+        update.endDate ? update.endDate = this.formatDay(update.endDate) : null;
         return this.mapiRequest({
             'method': 'patch',
             'path': `/v2/crp/budgets/${id}`,
             'body': JSON.stringify(update),
             'handler': this.processJSON.bind(this),
+            'schema': 'updateCRPBudget',
+            'payload': update,
             'callback': callback
         });
     }
@@ -786,7 +1506,7 @@ class Criteo_MAPI_Client extends API_Client {
     /**
      * Update multiple CRP budgets.
      * @param {object[]} budgets
-     * @param {(integer|string)} [budgets[].budgetId]
+     * @param {(integer|string)} budgets[].budgetId
      * @param {(integer|string)} [budgets[].amount]
      * @param {string} [budgets[].startDate] - Start date of the budget, will be auto-converted to YYYY-MM-DD for convenience
      * @param {string} [budgets[].endDate] - End date of the budget, will be auto-converted to YYYY-MM-DD for convenience
@@ -796,14 +1516,16 @@ class Criteo_MAPI_Client extends API_Client {
      */
     updateCRPBudgets(budgets = [], callback){
         for (let budget of budgets){
-            budget.startDate ? budget.startDate = moment(budget.startDate).format('YYYY-MM-DD') : null;
-            budget.endDate ? budget.endDate = moment(budget.endDate).format('YYYY-MM-DD') : null;
+            budget.startDate ? budget.startDate = this.formatDay(budget.startDate) : null;
+            budget.endDate ? budget.endDate = this.formatDay(budget.endDate) : null;
         }
         return this.mapiRequest({
             'method': 'patch',
             'path': `/v2/crp/budgets`,
             'body': JSON.stringify(budgets),
             'handler': this.processJSON.bind(this),
+            'schema': 'updateCRPBudgets',
+            'payload': budgets,
             'callback': callback
         });
     }
@@ -821,14 +1543,16 @@ class Criteo_MAPI_Client extends API_Client {
      */
     createCRPBudgets(budgets = [], callback){
         for (let budget of budgets){
-            budget.startDate ? budget.startDate = moment(budget.startDate).format('YYYY-MM-DD') : null;
-            budget.endDate ? budget.endDate = moment(budget.endDate).format('YYYY-MM-DD') : null;
+            budget.startDate ? budget.startDate = this.formatDay(budget.startDate) : null;
+            budget.endDate ? budget.endDate = this.formatDay(budget.endDate) : null;
         }
         return this.mapiRequest({
             'method': 'post',
             'path': `/v2/crp/budgets`,
             'body': JSON.stringify(budgets),
             'handler': this.processJSON.bind(this),
+            'schema': 'createCRPBudgets',
+            'payload': budgets,
             'callback': callback
         });
     }
@@ -922,6 +1646,58 @@ class Criteo_MAPI_Client extends API_Client {
         });
     }
 
+    /**
+     * Report on the pacing of CRP budgets, to see which will overspend or underspend before their period ends.
+     * For each budget: spend to date, the expected linear spend, the projected end-of-period spend at the recent daily
+     * run rate (from seller campaign stats), days elapsed and remaining, and a status of over-pacing, under-pacing,
+     * on-pace, exhausted, or unknown for budgets without an amount or end date. See budgetPacing.
+     * @param {object} [options]
+     * @param {(integer|string|Array)} [options.sellerIds] - Sellers to report on, all by default.
+     * @param {string} [options.status=Current] - Archived, Current or Scheduled
+     * @param {(Date|string)} [options.asOf=now] - Date the pacing is computed at.
+     * @param {number} [options.tolerance=0.1] - Share of the amount a projection may be off by and still be on pace.
+     * @param {integer} [options.runRateDays=7] - Full days before asOf the run rate is computed on; 0 to project the average spend so far.
+     * @param {integer} [options.concurrency=2] - Sellers requested at once
+     * @param {string} [options.format=json] - 'json' for an array of budget reports, or 'csv'
+     * @param {string} [options.filepath] - The file path to save the report to.
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<(object[]|string)>}
+     */
+    getCRPPacing(options = {}, callback){
+        return this.withCallback(this.runCRPPacing(options), callback);
+    }
+
+    runCRPPacing(options){
+        const { status = 'Current', tolerance, runRateDays = 7, concurrency = 2, format = 'json' } = options;
+        const asOf = options.asOf ? new Date(options.asOf) : new Date();
+        const to = moment.utc(asOf).startOf('day').toDate();
+        const from = moment.utc(to).subtract(runRateDays, 'days').toDate();
+        const query = { 'status': status, 'withSpend': true, 'withBalance': true };
+        const sellerIds = options.sellerIds === undefined ? null : String([].concat(options.sellerIds)).split(',');
+        const budgets = sellerIds ?
+            eachLimit(sellerIds, concurrency, (id) => this.getCRPBudgetsBySeller(id.trim(), query)).then((lists) => [].concat(...lists)) :
+            this.getCRPBudgets(query);
+        return budgets
+            .then((budgets) => {
+                const sellers = [...new Set(budgets.map((b) => String(b.sellerId)))];
+                const stats = runRateDays > 0 ?
+                    eachLimit(sellers, concurrency, (id) => this.getCRPStatsBySellerCampaign({ 'sellerId': id, 'intervalSize': 'Day', 'startDate': from, 'endDate': to })) :
+                    Promise.resolve([]);
+                return stats.then((results) => budgets.map((budget) => {
+                    const rows = results[sellers.indexOf(String(budget.sellerId))];
+                    const recent = Array.isArray(rows) ? budgetStats(budget, rows, from, to) : null;
+                    return budgetPacing(budget, { 'asOf': asOf, 'tolerance': tolerance, 'runRate': recent ? recent.runRate : null });
+                }));
+            })
+            .then((report) => {
+                const data = format.toLowerCase() === 'csv' ? toCSV(report) : report;
+                if (!options.filepath){
+                    return data;
+                }
+                return this.writeToFile(options.filepath, typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+            });
+    }
+
     /**
      * Get sellers by campaigns.
      * @deprecated
@@ -962,8 +1738,10 @@ class Criteo_MAPI_Client extends API_Client {
         return this.mapiRequest({
             'method': 'put',
             'path': `/v1/sellers/bids`,
-            'body': campaign,
+            'body': JSON.stringify(campaign),
             'handler': this.processJSON.bind(this),
+            'schema': 'updateSellerBids',
+            'payload': campaign,
             'callback': callback
         });
     }
@@ -983,8 +1761,10 @@ class Criteo_MAPI_Client extends API_Client {
         return this.mapiRequest({
             'method': 'post',
             'path': `/v1/sellers/budgets`,
-            'body': campaign,
+            'body': JSON.stringify(campaign),
             'handler': this.processJSON.bind(this),
+            'schema': 'createSellerBudgets',
+            'payload': campaign,
             'callback': callback
         });
     }
@@ -1005,8 +1785,10 @@ class Criteo_MAPI_Client extends API_Client {
         return this.mapiRequest({
             'method': 'put',
             'path': `/v1/sellers/budgets`,
-            'body': campaign,
+            'body': JSON.stringify(campaign),
             'handler': this.processJSON.bind(this),
+            'schema': 'updateSellerBudgets',
+            'payload': campaign,
             'callback': callback
         });
     }
@@ -1038,7 +1820,7 @@ class Criteo_MAPI_Client extends API_Client {
     /**
      * Get reporting for sellers.
      * @deprecated
-     * @param {object} query
+     * @param {(object|Stats_Query)} query
      * @param {(integer|string)} [query.advertiserIds] - List of advertiser IDs, comma-separated.
      * @param {string} query.startDate - Start date of the report, will be auto-converted to ISO for convenience
      * @param {string} query.endDate - End date of the report, will be auto-converted to ISO for convenience
@@ -1047,11 +1829,27 @@ class Criteo_MAPI_Client extends API_Client {
      * @param {string} query.format - CSV, Excel, XML or JSON
      * @param {string} [query.currency] - ISO Format, three letters
      * @param {string} [query.timezone] - GMT, PST or JST
-     * @param {string} [filepath] - The directory path of a file to save the results to.
+     * @param {(string|object)} [output] - The file path to save the results to, or output options.
+     * @param {string} [output.filepath] - The file path to save the results to. Results are streamed to disk.
+     * @param {boolean} [output.stream] - Resolve with a Readable stream of the results instead of buffering them.
+     * @param {function} [output.onProgress] - Called with ({ bytes, total }) as results are received.
+     * @param {(boolean|object)} [output.parse] - Resolve with an array of row objects (CSV, XML or JSON format), with numeric metrics and Day / Hour as Dates.
+     * @param {string} [output.parse.decimal] - Decimal separator of metric values, '.' or ','. Detected by default.
+     * @param {string} [output.chunk] - Split the date range by 'day', 'week' or 'month', request each part and merge the results. See getStatsInChunks.
+     * @param {integer} [output.concurrency=2] - With chunk, parts requested at once
      * @param {function} [callback] - Optional callback
      */
-    getSellerStats(query, filepath, callback){
-        let handler = this.determineStatsHandler(query, filepath);
+    getSellerStats(query, output, callback){
+        output = this.outputOptions(output);
+        query = query instanceof Stats_Query ? query.toJSON() : query;
+        const invalid = this.checkStatsQuery(query, output, 'sellers');
+        if (invalid){
+            return this.withCallback(Promise.reject(invalid), callback);
+        }
+        if (output.chunk){
+            return this.withCallback(this.getStatsInChunks('getSellerStats', query, output), callback);
+        }
+        let handler = this.determineStatsHandler(query, output);
         query.startDate = new Date(query.startDate).toISOString();
         query.endDate = new Date(query.endDate).toISOString();
         return this.mapiRequest({
@@ -1059,43 +1857,330 @@ class Criteo_MAPI_Client extends API_Client {
             'path': `/v1/sellers/stats`,
             'body': JSON.stringify(query),
             'handler': handler,
+            'idempotent': true,
+            'readOnly': true,
+            'stream': !!(output.filepath || output.stream),
             'callback': callback
         });
     }
 
+    /**
+     * Request a statistics report one date range at a time and merge the parts into one result.
+     * Parts are aligned on calendar days, ISO weeks or months and never overlap, so the rows of a period
+     * are all in one part as long as the report has a Day or Hour dimension, or a Week / Month dimension matching the chunk.
+     * Parsed rows and JSON rows are concatenated; CSV parts are joined under a single header line.
+     * Saved to a file, JSON results are written as one array of rows.
+     * @param {string} method - getStats, getReport or getSellerStats
+     * @param {object} query - The statistics query
+     * @param {object} output - Output options, see getStats
+     * @returns {Promise}
+     */
+    getStatsInChunks(method, query, output){
+        const { chunk, concurrency = 2 } = output;
+        const format = (query.format || '').toLowerCase();
+        const error = this.validateStatsChunk(query, output, format);
+        if (error){
+            return Promise.reject(new MapiValidationError(error, { 'errors': [error] }));
+        }
+        const ranges = splitDateRange(query.startDate, query.endDate, chunk);
+        const part = { 'parse': output.parse };
+        return eachLimit(ranges, concurrency, (range) => this.getStatsChunk(method, { ...query, ...range }, part))
+            .then((parts) => {
+                const merged = output.parse || format === 'json' ?
+                    [].concat(...parts.map((p) => output.parse ? p : findRows(p))) :
+                    this.mergeCSV(parts);
+                if (!output.filepath){
+                    return merged;
+                }
+                return this.writeToFile(output.filepath, typeof merged === 'string' ? merged : JSON.stringify(merged));
+            });
+    }
+
+    validateStatsChunk(query, output, format){
+        const dimensions = (query.dimensions || []).map((d) => d.toLowerCase());
+        if (['day', 'week', 'month'].indexOf(output.chunk) < 0){
+            return `Unknown chunk size '${output.chunk}', expected day, week or month`;
+        }
+        const invalidDate = ['startDate', 'endDate'].find((field) => isNaN(new Date(query[field])));
+        if (invalidDate){
+            return `Invalid ${invalidDate}, expected a date`;
+        }
+        if (output.stream){
+            return 'Chunked reports cannot be streamed';
+        }
+        if (format === 'excel'){
+            return 'Excel reports cannot be chunked, use CSV, JSON or XML';
+        }
+        if (format === 'xml' && !output.parse){
+            return 'XML reports can only be chunked with output.parse';
+        }
+        if (dimensions.indexOf('day') > -1 || dimensions.indexOf('hour') > -1){
+            return null;
+        }
+        const period = ['week', 'month'].find((d) => dimensions.indexOf(d) > -1);
+        if (period !== output.chunk || dimensions.indexOf('year') > -1 || (period === 'week' && dimensions.indexOf('month') > -1)){
+            return `Rows of a ${output.chunk} chunk cannot be merged without a Day or Hour dimension${period ? `, or with chunk '${period}'` : ''}`;
+        }
+        return null;
+    }
+
+    getStatsChunk(method, query, output){
+        return this[method]({ ...query }, output)
+            .catch((err) => {
+                err.chunk = { 'startDate': query.startDate, 'endDate': query.endDate };
+                throw err;
+            });
+    }
+
+    mergeCSV(parts){
+        let header = null;
+        const lines = [];
+        for (const part of parts){
+            const text = typeof part === 'string' ? part.replace(/^\uFEFF/, '') : '';
+            const newline = text.search(/\r?\n/);
+            const first = newline < 0 ? text : text.slice(0, newline);
+            const rest = newline < 0 ? '' : text.slice(newline).replace(/^\r?\n/, '');
+            if (!first){
+                continue;
+            }
+            header = header || first;
+            if (rest){
+                lines.push(rest.replace(/\r?\n$/, ''));
+            }
+        }
+        return header === null ? '' : [header, ...lines].join('\n') + '\n';
+    }
+
+    writeToFile(filepath, data){
+        return new Promise( (resolve, reject) => {
+            fs.writeFile(filepath, data, (err) => {
+                if (err){
+                    reject(new MapiError(`Error Saving Response to File. ${err}`, { 'code': err.code, 'filepath': filepath }));
+                }else{
+                    this.logger.info('file.saved', { 'filepath': filepath, 'bytes': Buffer.byteLength(data) });
+                    resolve(`Results saved to ${filepath}.`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Add a middleware to the request pipeline. Middleware is called with (ctx, next) around every request,
+     * token requests included, after the payload is validated:
+     * retry, then middleware in the order added, then logging, dry run, authentication and the HTTP request itself.
+     * The context has method, host, protocol, port, endpoint, path, query, headers and body, which may be changed
+     * before calling next(). After it, status and response hold the HTTP response ({ body, response, request }), and result
+     * what the method resolves with; result may be replaced.
+     * Errors of the request are thrown by next(). ctx.attempt counts retries and ctx.state is free for middleware to use.
+     * On a view from withOptions, the middleware is added to that view only.
+     * @param {function} fn - Called with (ctx, next), returns a Promise
+     * @returns {Criteo_MAPI_Client} The client, for chaining.
+     * @example
+     * criteo.use( (ctx, next) => {
+     *     ctx.headers['X-Request-Id'] = uuid();
+     *     return next();
+     * });
+     */
+    use(fn){
+        if (typeof fn !== 'function'){
+            throw new TypeError('Middleware must be a function');
+        }
+        this.middleware = this.middleware.concat(fn);
+        return this;
+    }
+
     mapiRequest(r){
         return new Promise( (resolve, reject) => {
-            this.checkAuthentication(r)
-            .catch(this.authenticate.bind(this))
-            .then(this.executeRequest.bind(this,r))
-            .catch(this.decideWhetherToRequeue.bind(this,r))
+            this.validatePayload(r)
+            .then(() => this.requestPipeline()(this.createContext(r)))
+            .then((ctx) => ctx.result)
             .then(this.resolveRequest.bind(this,r,resolve))
             .catch(this.rejectRequest.bind(this,r,reject))
         });
     }
 
-    executeRequest(r){
-        return this[r.method]({
-                'path': r.path,
-                'body': r.body,
-                'query': r.query,
-                'headers': r.headers
-            })
-            .then(r.handler)
-            .catch((err) => {
-                return Promise.reject(err);
-            })
+    requestPipeline(){
+        return compose([
+            this.retryMiddleware.bind(this),
+            ...this.middleware,
+            this.logMiddleware.bind(this),
+            this.dryRunMiddleware.bind(this),
+            this.authMiddleware.bind(this),
+            this.transportMiddleware.bind(this)
+        ]);
+    }
+
+    createContext(r){
+        return {
+            'client': this,
+            'method': r.method.toUpperCase(),
+            'host': this.host,
+            'protocol': this.protocol,
+            'port': this.port,
+            'endpoint': this.endpoint,
+            'path': r.path,
+            'query': r.query,
+            'headers': { ...DEFAULT_HEADERS, ...r.headers },
+            'body': r.body,
+            'stream': r.stream,
+            'handler': r.handler,
+            'idempotent': !!r.idempotent,
+            'readOnly': !!r.readOnly,
+            'attempt': 1,
+            'state': {},
+            'status': null,
+            'response': null,
+            'result': undefined
+        };
     }
 
-    decideWhetherToRequeue(r, err){
-        return new Promise( (resolve, reject) => {
-            if (err.toString().indexOf('401') > -1 && !r.retry){
-                r.retry = true;
-                resolve(this.mapiRequest(r));
-            }else{
-                reject(err);
+    /**
+     * Retry failed attempts as the retry policy allows, with its backoff.
+     */
+    retryMiddleware(ctx, next){
+        const attempt = () => next().catch((err) => {
+            const delay = this.retryPolicy.delay(ctx, err);
+            if (delay === null){
+                return Promise.reject(err);
             }
+            this.logger.warn('request.retry', {
+                ...this.logFields(ctx),
+                'status': err.statusCode,
+                'code': err.code,
+                'error': err.message,
+                'delay': delay
+            });
+            ctx.attempt++;
+            return wait(delay).then(attempt);
+        });
+        return attempt();
+    }
+
+    /**
+     * Log each attempt as it is sent (debug, with query, headers and body) and as it ends (info, or warn on failure).
+     */
+    logMiddleware(ctx, next){
+        const start = Date.now();
+        if (this.logger.enabled('debug')){
+            this.logger.debug('request.start', { ...this.logFields(ctx), 'query': ctx.query, 'headers': ctx.headers, 'body': ctx.body });
+        }
+        return next().then(() => {
+            this.logger.info('request.end', {
+                ...this.logFields(ctx),
+                'status': ctx.status,
+                'duration': Date.now() - start,
+                'dryRun': !!(ctx.result && ctx.result.dryRun)
+            });
+        }, (err) => {
+            this.logger.warn('request.error', {
+                ...this.logFields(ctx),
+                'status': err.statusCode,
+                'code': err.code,
+                'error': err.message,
+                'duration': Date.now() - start
+            });
+            return Promise.reject(err);
+        });
+    }
+
+    logFields(ctx){
+        return { 'method': ctx.method, 'host': ctx.host, 'path': ctx.endpoint + ctx.path, 'attempt': ctx.attempt };
+    }
+
+    /**
+     * Answer write requests with their preview in dry run, before a token is needed.
+     */
+    dryRunMiddleware(ctx, next){
+        if (!this.dryRun || ctx.method === 'GET' || ctx.readOnly){
+            return next();
+        }
+        ctx.result = this.previewRequest(ctx);
+        return Promise.resolve();
+    }
+
+    /**
+     * Set the Bearer token, and on a 401 get a new token and try once more.
+     */
+    authMiddleware(ctx, next){
+        if (ctx.path === '/oauth2/token'){
+            return next();
+        }
+        const send = (retried) => this.auth.getToken().then((token) => {
+            ctx.headers['Authorization'] = `Bearer ${token}`;
+            return next().catch((err) => {
+                if (err.statusCode !== 401 || retried){
+                    return Promise.reject(err);
+                }
+                this.logger.warn('auth.rejected', this.logFields(ctx));
+                this.auth.invalidate(token);
+                return send(true);
+            });
         });
+        return send(false);
+    }
+
+    /**
+     * Send the request once its scheduler group has capacity. Streamed responses keep their slot until the stream ends.
+     */
+    transportMiddleware(ctx){
+        return this.scheduler.schedule(ctx.path, (hold) => this.apiRequest(ctx.method, {
+                'protocol': ctx.protocol,
+                'hostname': ctx.host,
+                'port': ctx.port,
+                'path': ctx.endpoint + ctx.path,
+                'query': ctx.query,
+                'headers': ctx.headers,
+                'body': ctx.body,
+                'stream': ctx.stream
+            })
+            .then((res) => {
+                if (res.stream){
+                    finished(res.stream, hold());
+                }
+                return res;
+            }))
+            .then((res) => {
+                ctx.response = res;
+                ctx.status = res.response.statusCode;
+                return ctx.handler(res);
+            })
+            .then((result) => {
+                ctx.result = result;
+            });
+    }
+
+    /**
+     * Check the payload of a request against its schema (see schemas.js) before anything is sent.
+     */
+    validatePayload(r){
+        if (!r.schema || !this.validatePayloads){
+            return Promise.resolve();
+        }
+        const errors = validate(SCHEMAS[r.schema], r.payload);
+        if (!errors.length){
+            return Promise.resolve();
+        }
+        const summary = errors.slice(0, 3).map((e) => e.message).join('; ');
+        const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+        return Promise.reject(new MapiValidationError(`Invalid ${r.schema} payload. ${summary}${more}`, { 'errors': errors }));
+    }
+
+    /**
+     * Describe a write request as it would be sent, for dry runs.
+     * @param {object} ctx - Request context
+     * @returns {object} { dryRun, method, path, url, query, body }
+     */
+    previewRequest(ctx){
+        const path = ctx.endpoint + ctx.path + (ctx.query ? `?${querystring.stringify(ctx.query)}` : '');
+        const port = ctx.port ? `:${ctx.port}` : '';
+        return {
+            'dryRun': true,
+            'method': ctx.method,
+            'path': path,
+            'url': `${ctx.protocol}//${ctx.host}${port}${path}`,
+            'query': ctx.query || null,
+            'body': ctx.body === undefined ? null : ctx.body
+        };
     }
 
     resolveRequest(r, resolve, res){
@@ -1115,14 +2200,33 @@ class Criteo_MAPI_Client extends API_Client {
         }
     }
 
+    /**
+     * Get request queue statistics by endpoint group.
+     * @returns {object} For each group: queued, active, completed, averageWait and maxWait (ms).
+     */
+    getQueueStats(){
+        return this.scheduler.stats();
+    }
+
+    withCallback(promise, callback){
+        const r = { 'callback': callback };
+        return new Promise( (resolve, reject) => {
+            promise
+            .then(this.resolveRequest.bind(this,r,resolve))
+            .catch(this.rejectRequest.bind(this,r,reject))
+        });
+    }
+
     processAuth(res){
         return new Promise( (resolve, reject) => {
             try{
                 const response = JSON.parse(res.body);
-                this.token = response.access_token;
-                resolve(this.token);
+                if (!response.access_token){
+                    throw new Error('Missing access_token');
+                }
+                resolve(response);
             }catch(e){
-                reject(new Error('Error Retrieving Session Token from Authentication Response!'));
+                reject(new MapiAuthError('Error Retrieving Session Token from Authentication Response!', responseDetails(res)));
             }
         });
     }
@@ -1131,8 +2235,56 @@ class Criteo_MAPI_Client extends API_Client {
         return this.process(res, this.parseJSON);
     }
 
-    processFile(filepath, res){
-        return this.process(res, this.saveToFile.bind(this,filepath));
+    processFile(output, res){
+        return this.processStream({ 'onProgress': output.onProgress }, res)
+            .then(this.saveStreamToFile.bind(this, output.filepath));
+    }
+
+    processStream(output, res){
+        return this.readErrorStream(res).then(() => {
+            if (!output.onProgress){
+                return res.stream;
+            }
+            const encoded = !!res.response.headers['content-encoding'];
+            const total = encoded ? null : parseInt(res.response.headers['content-length'], 10) || null;
+            let bytes = 0;
+            const progress = new Transform({
+                transform(chunk, encoding, done){
+                    bytes += chunk.length;
+                    output.onProgress({ 'bytes': bytes, 'total': total });
+                    done(null, chunk);
+                }
+            });
+            res.stream.on('error', (err) => progress.destroy(err));
+            return res.stream.pipe(progress);
+        });
+    }
+
+    processBuffer(res){
+        return this.process(res, (body, resolve) => resolve(res.raw));
+    }
+
+    readErrorStream(res){
+        return new Promise( (resolve, reject) => {
+            const status = res.response.statusCode;
+            if (status.toString().match(/20[0-9]/) !== null){
+                return resolve();
+            }
+            const chunks = [];
+            res.stream.on('data', (data) => chunks.push(data));
+            res.stream.on('error', () => reject(httpError({ ...res, 'body': Buffer.concat(chunks).toString() })));
+            res.stream.on('end', () => reject(httpError({ ...res, 'body': Buffer.concat(chunks).toString() })));
+        });
+    }
+
+    processRows(query, options, res){
+        return this.process(res, (body, resolve, reject) => {
+            try{
+                resolve(parseReport(body, query, typeof options === 'object' ? options : {}));
+            }catch(e){
+                reject(new MapiParseError(`Error Parsing Report Rows: ${e.message}`, responseDetails(res)));
+            }
+        });
     }
 
     processResponse(res){
@@ -1141,19 +2293,19 @@ class Criteo_MAPI_Client extends API_Client {
 
     process(res, parser){
         return new Promise( (resolve, reject) => {
+            const status = res.response.statusCode;
+            if (status.toString().match(/20[0-9]/) === null){
+                return reject(httpError(res));
+            }
             try{
-                const status = res.response.statusCode;
-                if (status.toString().match(/20[0-9]/) === null){
-                    reject(new Error(`Bad Response From API: Status Code ${status} | ${res.body}`));
-                }
-                parser(res.body.trim(), resolve, reject);
+                parser(res.body.trim(), resolve, reject, res);
             }catch(e){
-                reject(new Error(`Error Parsing Response from API: Status Code ${status} | ${e}`));
+                reject(new MapiParseError(`Error Parsing Response from API: Status Code ${status} | ${e}`, responseDetails(res)));
             }
         });
     }
 
-    parseJSON(body, resolve, reject){
+    parseJSON(body, resolve, reject, res){
         try {
             if (body){
                 resolve(JSON.parse(body));
@@ -1161,11 +2313,11 @@ class Criteo_MAPI_Client extends API_Client {
                 resolve(true);
             }
         }catch(e){
-            reject(new Error(`Error Parsing JSON Response: ${e}`));
+            reject(new MapiParseError(`Error Parsing JSON Response: ${e}`, responseDetails(res)));
         }
     }
 
-    parseResponse(body, resolve, reject){
+    parseResponse(body, resolve, reject, res){
         try {
             if (body){
                 resolve(body);
@@ -1173,17 +2325,21 @@ class Criteo_MAPI_Client extends API_Client {
                 resolve(true);
             }
         }catch(e){
-            reject(new Error(`Error Parsing Response: ${e}`));
+            reject(new MapiParseError(`Error Parsing Response: ${e}`, responseDetails(res)));
         }
     }
 
-    saveToFile(filepath, body, resolve, reject){
-        fs.writeFile(filepath, body, (err) => {
-            if (err){
-                reject(new Error(`Error Saving Response to File. ${err}`));
-            }else{
-                resolve(`Results saved to ${filepath}.`);
-            }
+    saveStreamToFile(filepath, stream){
+        return new Promise( (resolve, reject) => {
+            const file = fs.createWriteStream(filepath);
+            pipeline(stream, file, (err) => {
+                if (err){
+                    fs.unlink(filepath, () => reject(new MapiError(`Error Saving Response to File. ${err}`, { 'code': err.code, 'filepath': filepath })));
+                }else{
+                    this.logger.info('file.saved', { 'filepath': filepath, 'bytes': file.bytesWritten });
+                    resolve(`Results saved to ${filepath}.`);
+                }
+            });
         });
     }
 
@@ -1195,52 +2351,43 @@ class Criteo_MAPI_Client extends API_Client {
         return formdata.slice(0,-1);
     }
 
-    determineStatsHandler(query, filepath){
-        if (filepath){
-            return this.processFile.bind(this,filepath);
-        }else if (query.format.toLowerCase() === 'json'){
-            return this.processJSON.bind(this);
-        }else{
-            return this.processResponse.bind(this);
+    formatDay(date){
+        if (isNaN(new Date(date))){
+            return date;
         }
+        return moment(date).format('YYYY-MM-DD');
     }
 
-    get(req){
-        return this.request('apiGet', req);
-    }
-
-    post(req){
-        return this.request('apiPost', req);
+    outputOptions(output){
+        return typeof output === 'string' ? { 'filepath': output } : output || {};
     }
 
-    put(req){
-        return this.request('apiPut', req);
-    }
-
-    patch(req){
-        return this.request('apiPatch', req);
-    }
-
-    delete(req){
-        return this.request('apiDelete', req);
+    checkStatsQuery(query, output, endpoint){
+        const errors = this.validateStats ? validateStatsQuery(query, endpoint, { 'strict': this.validateStats === 'strict' }) : [];
+        const format = query && query.format ? query.format.toLowerCase() : '';
+        if (!format && !errors.some((e) => e.path === 'format')){
+            errors.push({ 'path': 'format', 'message': 'format is required' });
+        }
+        if (output.parse && format === 'excel'){
+            errors.push({ 'path': 'format', 'message': 'Excel reports cannot be parsed into rows, use CSV, XML or JSON' });
+        }
+        return errors.length ? queryError(errors) : null;
     }
 
-    request(method, req){
-        const headers = {
-            'Authorization': `Bearer ${this.token}`,
-            'Accept': 'application/json, text/xml',
-            'Content-Type': 'application/json',
-            'User-Agent': 'criteo-nodejs-client/0.9.6'
-        };
-        return this[method]({
-            'path': this.endpoint + req.path,
-            'body': req.body,
-            'query': req.query,
-            'headers': {
-                ...headers,
-                ...req.headers
-            }
-        });
+    determineStatsHandler(query, output){
+        if (output.stream){
+            return this.processStream.bind(this,output);
+        }else if (output.filepath){
+            return this.processFile.bind(this,output);
+        }else if (output.parse){
+            return this.processRows.bind(this,query,output.parse);
+        }else if (query.format.toLowerCase() === 'json'){
+            return this.processJSON.bind(this);
+        }else if (query.format.toLowerCase() === 'excel'){
+            return this.processBuffer.bind(this);
+        }else{
+            return this.processResponse.bind(this);
+        }
     }
 }
 
@@ -0,0 +1,27 @@
+/**
+ * Compose middleware into a single function of a request context.
+ * Each middleware is called with (ctx, next), where next() runs the rest of the chain and returns a Promise.
+ * next() may be called more than once, e.g. to retry, or not at all to answer without going further.
+ * @param {function[]} middleware
+ * @returns {function} Called with the context, returns a Promise of the context once the chain has run.
+ */
+function compose(middleware){
+    return (ctx) => {
+        const dispatch = (i) => {
+            const fn = middleware[i];
+            if (!fn){
+                return Promise.resolve();
+            }
+            try{
+                return Promise.resolve(fn(ctx, () => dispatch(i + 1)));
+            }catch(err){
+                return Promise.reject(err);
+            }
+        };
+        return dispatch(0).then(() => ctx);
+    };
+}
+
+module.exports = {
+    compose
+};
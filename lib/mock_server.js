@@ -0,0 +1,891 @@
+const http = require('http');
+const crypto = require('crypto');
+const querystring = require('querystring');
+const { URL } = require('url');
+const moment = require('moment');
+
+/**
+ * A local stand-in for the Criteo Marketing API, keeping its state in memory.
+ * Point a client at it with the host, protocol and port options:
+ *
+ *     const server = new Mock_MAPI_Server();
+ *     server.start().then((port) => {
+ *         const criteo = new Criteo_MAPI('id', 'secret', 'localhost', '/marketing', { protocol: 'http:', port: port });
+ *     });
+ *
+ * @class
+ */
+class Mock_MAPI_Server {
+
+    /**
+     * @param {object} [options]
+     * @param {string} [options.clientId=id] - Accepted client ID. Set to null to accept any credentials.
+     * @param {string} [options.clientSecret=secret] - Accepted client secret.
+     * @param {integer} [options.tokenLifetime=300] - Lifetime of issued tokens, in seconds.
+     * @param {string} [options.endpoint=/marketing] - Path prefix of all routes.
+     * @param {object} [options.state] - Initial state, see Mock_MAPI_Server.defaultState()
+     */
+    constructor(options = {}){
+        this.clientId = options.clientId === undefined ? 'id' : options.clientId;
+        this.clientSecret = options.clientSecret === undefined ? 'secret' : options.clientSecret;
+        this.tokenLifetime = options.tokenLifetime || 300;
+        this.endpoint = options.endpoint === undefined ? '/marketing' : options.endpoint;
+        this.initialState = options.state;
+        this.server = http.createServer(this.handle.bind(this));
+        this.routes = this.defineRoutes();
+        this.reset();
+    }
+
+    /**
+     * Start listening.
+     * @param {integer} [port=0] - Port to listen on, a random free port by default.
+     * @returns {Promise<integer>} The port listened on.
+     */
+    start(port = 0){
+        return new Promise( (resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * Stop listening.
+     * @returns {Promise}
+     */
+    stop(){
+        return new Promise( (resolve) => this.server.close(() => resolve()) );
+    }
+
+    /**
+     * Restore the initial state and clear tokens, faults and the request log.
+     */
+    reset(){
+        this.state = JSON.parse(JSON.stringify(this.initialState || Mock_MAPI_Server.defaultState()));
+        this.tokens = {};
+        this.faults = [];
+        this.requests = [];
+    }
+
+    /**
+     * Make the next matching requests fail, or answer them with a canned response.
+     * @param {object} fault
+     * @param {integer} fault.status - Status code to respond with, e.g. 401, 429 or 500, or 200 with a body of your own
+     * @param {(string|RegExp)} [fault.path] - Only fail paths (relative to the endpoint) starting with this string or matching this RegExp.
+     * @param {string} [fault.method] - Only fail requests with this method.
+     * @param {integer} [fault.times=1] - Number of requests to fail.
+     * @param {object} [fault.headers] - Response headers, e.g. { 'Retry-After': '1' }
+     * @param {*} [fault.body] - Response body, e.g. a Buffer of compressed data
+     */
+    injectFault(fault){
+        this.faults.push({ 'times': 1, ...fault });
+    }
+
+    /**
+     * Expire all issued tokens, so that the next request is rejected with a 401.
+     */
+    expireTokens(){
+        for (const token in this.tokens){
+            this.tokens[token] = 0;
+        }
+    }
+
+    handle(req, res){
+        const chunks = [];
+        req.on('data', (data) => chunks.push(data));
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const path = url.pathname.indexOf(this.endpoint) === 0 ? url.pathname.slice(this.endpoint.length) : url.pathname;
+            const request = {
+                'method': req.method,
+                'path': path,
+                'query': querystring.parse(url.search.slice(1)),
+                'headers': req.headers,
+                'body': this.parseBody(req, Buffer.concat(chunks).toString())
+            };
+            this.requests.push(request);
+            this.send(res, this.respond(request));
+        });
+    }
+
+    parseBody(req, body){
+        if (!body){
+            return undefined;
+        }
+        if ((req.headers['content-type'] || '').indexOf('application/x-www-form-urlencoded') > -1){
+            return querystring.parse(body);
+        }
+        try{
+            return JSON.parse(body);
+        }catch(e){
+            return body;
+        }
+    }
+
+    send(res, result){
+        const { status = 200, headers = {} } = result;
+        let body = result.body;
+        if (body !== undefined && typeof body !== 'string' && !Buffer.isBuffer(body)){
+            body = JSON.stringify(body);
+            headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+        }
+        res.writeHead(status, headers);
+        res.end(body);
+    }
+
+    respond(request){
+        const fault = this.faults.find((f) => f.times > 0 &&
+            (!f.method || f.method.toUpperCase() === request.method) &&
+            (!f.path || (f.path instanceof RegExp ? f.path.test(request.path) : request.path.indexOf(f.path) === 0)));
+        if (fault){
+            fault.times--;
+            return {
+                'status': fault.status,
+                'headers': { ...fault.headers },
+                'body': fault.body === undefined ? { 'errors': [{ 'message': `Injected fault ${fault.status}` }] } : fault.body
+            };
+        }
+        if (request.path !== '/oauth2/token' && !this.isAuthorized(request)){
+            return { 'status': 401, 'body': { 'message': 'Authorization has been denied for this request.' } };
+        }
+        for (const [method, pattern, handler] of this.routes){
+            const match = request.path.match(pattern);
+            if (match && method === request.method){
+                try{
+                    return handler.apply(this, [request, ...match.slice(1)]);
+                }catch(e){
+                    return { 'status': 500, 'body': { 'errors': [{ 'message': e.message }] } };
+                }
+            }
+        }
+        return { 'status': 404, 'body': { 'message': `No route for ${request.method} ${request.path}` } };
+    }
+
+    isAuthorized(request){
+        const header = request.headers['authorization'] || '';
+        const token = header.replace(/^Bearer /, '');
+        return !!this.tokens[token] && this.tokens[token] > Date.now();
+    }
+
+    defineRoutes(){
+        return [
+            ['POST', /^\/oauth2\/token$/, this.token],
+            ['GET', /^\/v1\/portfolio$/, this.portfolio],
+            ['GET', /^\/v1\/advertisers\/([^/]+)\/campaigns$/, this.advertiserCampaigns],
+            ['GET', /^\/v1\/advertisers\/([^/]+)\/categories$/, this.advertiserCategories],
+            ['GET', /^\/v1\/advertisers\/([^/]+)\/categories\/([^/]+)$/, this.advertiserCategory],
+            ['GET', /^\/v1\/audiences\/?$/, this.audiences],
+            ['POST', /^\/v1\/audiences\/userlist$/, this.createAudience],
+            ['DELETE', /^\/v1\/audiences\/userlist\/([^/]+)\/users$/, this.wipeAudience],
+            ['PATCH', /^\/v1\/audiences\/userlist\/([^/]+)$/, this.updateAudienceUsers],
+            ['DELETE', /^\/v1\/audiences\/([^/]+)$/, this.deleteAudience],
+            ['PUT', /^\/v1\/audiences\/([^/]+)$/, this.updateAudience],
+            ['GET', /^\/v1\/budgets$/, this.budgets],
+            ['GET', /^\/v1\/campaigns\/?$/, this.campaigns],
+            ['GET', /^\/v1\/campaigns\/bids$/, this.bids],
+            ['PUT', /^\/v1\/campaigns\/bids$/, this.updateBids],
+            ['GET', /^\/v1\/campaigns\/([^/]+)$/, this.campaign],
+            ['GET', /^\/v1\/campaigns\/([^/]+)\/categories$/, this.campaignCategories],
+            ['GET', /^\/v1\/campaigns\/([^/]+)\/categories\/([^/]+)$/, this.campaignCategory],
+            ['GET', /^\/v1\/categories$/, this.categories],
+            ['PUT', /^\/v1\/categories$/, this.updateCategories],
+            ['POST', /^\/v1\/publishers\/stats$/, this.publisherStats],
+            ['POST', /^\/v1\/statistics(\/report)?$/, this.statistics],
+            ['GET', /^\/v1\/sellers$/, this.sellers],
+            ['GET', /^\/v1\/sellers\/campaigns$/, this.sellerCampaigns],
+            ['PUT', /^\/v1\/sellers\/bids$/, this.updateSellerBids],
+            ['POST', /^\/v1\/sellers\/budgets$/, this.createSellerBudgets],
+            ['PUT', /^\/v1\/sellers\/budgets$/, this.updateSellerBudgets],
+            ['POST', /^\/v1\/sellers\/stats$/, this.sellerStatistics],
+            ['GET', /^\/v2\/crp\/sellers$/, this.crpSellers],
+            ['GET', /^\/v2\/crp\/sellers\/([^/]+)$/, this.crpSeller],
+            ['GET', /^\/v2\/crp\/sellers\/([^/]+)\/budgets$/, this.crpSellerBudgets],
+            ['GET', /^\/v2\/crp\/sellers\/([^/]+)\/seller-campaigns$/, this.crpSellerCampaigns],
+            ['GET', /^\/v2\/crp\/seller-campaigns$/, this.crpCampaigns],
+            ['PATCH', /^\/v2\/crp\/seller-campaigns$/, this.updateCRPCampaigns],
+            ['GET', /^\/v2\/crp\/seller-campaigns\/([^/]+)$/, this.crpCampaign],
+            ['PATCH', /^\/v2\/crp\/seller-campaigns\/([^/]+)$/, this.updateCRPCampaign],
+            ['GET', /^\/v2\/crp\/seller-campaigns\/([^/]+)\/budgets$/, this.crpCampaignBudgets],
+            ['GET', /^\/v2\/crp\/budgets$/, this.crpBudgets],
+            ['PATCH', /^\/v2\/crp\/budgets$/, this.updateCRPBudgets],
+            ['POST', /^\/v2\/crp\/budgets$/, this.createCRPBudgets],
+            ['GET', /^\/v2\/crp\/budgets\/([^/]+)$/, this.crpBudget],
+            ['PATCH', /^\/v2\/crp\/budgets\/([^/]+)$/, this.updateCRPBudget],
+            ['GET', /^\/v2\/crp\/stats\/(campaigns|sellers|seller-campaigns)$/, this.crpStats]
+        ];
+    }
+
+    token(request){
+        const body = request.body || {};
+        const valid = body.grant_type === 'client_credentials' && (this.clientId === null ||
+            (body.client_id === this.clientId && body.client_secret === this.clientSecret));
+        if (!valid){
+            return { 'status': 401, 'body': { 'error': 'invalid_client' } };
+        }
+        const token = crypto.randomBytes(16).toString('hex');
+        this.tokens[token] = Date.now() + this.tokenLifetime * 1000;
+        return { 'body': { 'access_token': token, 'token_type': 'Bearer', 'expires_in': this.tokenLifetime } };
+    }
+
+    portfolio(){
+        return { 'body': this.state.advertisers };
+    }
+
+    advertiserCampaigns(request, advertiser){
+        return { 'body': this.state.campaigns.filter((c) => String(c.advertiserId) === advertiser) };
+    }
+
+    advertiserCategories(request, advertiser){
+        return { 'body': this.filterEnabled(request, this.state.categories.filter((c) => String(c.advertiserId) === advertiser)) };
+    }
+
+    advertiserCategory(request, advertiser, category){
+        return this.found(this.state.categories.find((c) => String(c.advertiserId) === advertiser && String(c.categoryHashCode) === category));
+    }
+
+    audiences(request){
+        const advertiser = request.query.advertiserId;
+        return { 'body': this.state.audiences.filter((a) => !advertiser || String(a.advertiserId) === advertiser).map(this.audienceView) };
+    }
+
+    createAudience(request){
+        const body = request.body || {};
+        if (!body.advertiserId || !body.name){
+            return this.badRequest('advertiserId and name are required');
+        }
+        const audience = {
+            'id': this.nextId(this.state.audiences, 'id'),
+            'advertiserId': Number(body.advertiserId),
+            'name': body.name,
+            'description': body.description,
+            'members': {}
+        };
+        this.state.audiences.push(audience);
+        return { 'body': { 'audienceId': audience.id } };
+    }
+
+    deleteAudience(request, id){
+        const index = this.state.audiences.findIndex((a) => String(a.id) === id);
+        if (index < 0){
+            return this.notFound();
+        }
+        this.state.audiences.splice(index, 1);
+        return { 'status': 200 };
+    }
+
+    updateAudience(request, id){
+        const audience = this.state.audiences.find((a) => String(a.id) === id);
+        if (!audience){
+            return this.notFound();
+        }
+        const body = request.body || {};
+        Object.assign(audience, { 'name': body.name, 'description': body.description });
+        return { 'status': 200 };
+    }
+
+    wipeAudience(request, id){
+        const audience = this.state.audiences.find((a) => String(a.id) === id);
+        if (!audience){
+            return this.notFound();
+        }
+        audience.members = {};
+        return { 'body': { 'audienceId': audience.id } };
+    }
+
+    updateAudienceUsers(request, id){
+        const audience = this.state.audiences.find((a) => String(a.id) === id);
+        const body = request.body || {};
+        if (!audience){
+            return this.notFound();
+        }
+        if (['add', 'remove'].indexOf(body.operation) < 0 || ['email', 'madid', 'identityLink', 'gum'].indexOf(body.schema) < 0){
+            return this.badRequest('Invalid operation or schema');
+        }
+        if (!Array.isArray(body.identifiers) || body.identifiers.length > 50000){
+            return this.badRequest('identifiers must be an array of at most 50000 values');
+        }
+        if (body.schema === 'gum' && !body.gumCallerId){
+            return this.badRequest('gumCallerId is required for the gum schema');
+        }
+        const invalid = body.identifiers.filter((id) => typeof id !== 'string' || !id.trim());
+        for (const identifier of body.identifiers){
+            if (invalid.indexOf(identifier) > -1){
+                continue;
+            }
+            if (body.operation === 'add'){
+                audience.members[`${body.schema}:${identifier}`] = true;
+            }else{
+                delete audience.members[`${body.schema}:${identifier}`];
+            }
+        }
+        return { 'body': {
+            'operation': body.operation,
+            'requestDate': new Date().toISOString(),
+            'schema': body.schema,
+            'nbValidIdentifiers': body.identifiers.length - invalid.length,
+            'nbInvalidIdentifiers': invalid.length,
+            'sampleInvalidIdentifiers': invalid.slice(0, 10)
+        } };
+    }
+
+    budgets(request){
+        return { 'body': this.state.budgets.filter((b) => this.inList(request.query.advertiserIds, b.advertiserId) && this.inList(request.query.budgetIds, b.budgetId)) };
+    }
+
+    campaigns(request){
+        return { 'body': this.filterCampaigns(request.query) };
+    }
+
+    campaign(request, id){
+        return this.found(this.state.campaigns.find((c) => String(c.campaignId) === id));
+    }
+
+    campaignCategories(request, id){
+        const campaign = this.state.campaigns.find((c) => String(c.campaignId) === id);
+        if (!campaign){
+            return this.notFound();
+        }
+        return { 'body': this.filterEnabled(request, this.state.categories.filter((c) => c.advertiserId === campaign.advertiserId)) };
+    }
+
+    campaignCategory(request, id, category){
+        const campaign = this.state.campaigns.find((c) => String(c.campaignId) === id);
+        return this.found(campaign && this.state.categories.find((c) => c.advertiserId === campaign.advertiserId && String(c.categoryHashCode) === category));
+    }
+
+    bids(request){
+        return { 'body': this.filterCampaigns(request.query).map((c) => ({
+            'campaignId': c.campaignId,
+            'advertiserId': c.advertiserId,
+            'campaignStatus': c.campaignStatus,
+            'bidType': c.bidType,
+            'bidValue': c.bidValue,
+            'categories': c.categoryBids
+        })) };
+    }
+
+    updateBids(request){
+        const updates = request.body;
+        if (!Array.isArray(updates)){
+            return this.badRequest('Body must be an array of campaigns');
+        }
+        for (const update of updates){
+            const campaign = this.state.campaigns.find((c) => String(c.campaignId) === String(update.campaignId));
+            if (!campaign){
+                return this.badRequest(`Unknown campaign ${update.campaignId}`);
+            }
+            if (update.bidValue !== undefined && !(Number(update.bidValue) >= 0)){
+                return this.badRequest(`Invalid bidValue for campaign ${update.campaignId}`);
+            }
+        }
+        for (const update of updates){
+            const campaign = this.state.campaigns.find((c) => String(c.campaignId) === String(update.campaignId));
+            if (update.bidValue !== undefined){
+                campaign.bidValue = Number(update.bidValue);
+            }
+            for (const category of update.categories || []){
+                const existing = campaign.categoryBids.find((b) => String(b.categoryHashCode) === String(category.categoryHashCode));
+                if (existing){
+                    existing.bidValue = Number(category.bidValue);
+                }else{
+                    campaign.categoryBids.push({ 'categoryHashCode': category.categoryHashCode, 'bidValue': Number(category.bidValue) });
+                }
+            }
+        }
+        return this.bids({ 'query': { 'campaignIds': updates.map((u) => u.campaignId).join(',') } });
+    }
+
+    categories(request){
+        const query = request.query;
+        const campaignAdvertisers = query.campaignIds ? this.filterCampaigns({ 'campaignIds': query.campaignIds }).map((c) => c.advertiserId) : null;
+        return { 'body': this.filterEnabled(request, this.state.categories.filter((c) =>
+            this.inList(query.advertiserIds, c.advertiserId) &&
+            this.inList(query.categoryHashCodes, c.categoryHashCode) &&
+            (!campaignAdvertisers || campaignAdvertisers.indexOf(c.advertiserId) > -1))) };
+    }
+
+    updateCategories(request){
+        const catalogs = request.body;
+        if (!Array.isArray(catalogs)){
+            return this.badRequest('Body must be an array of catalogs');
+        }
+        for (const catalog of catalogs){
+            for (const update of catalog.categories || []){
+                const category = this.state.categories.find((c) => String(c.catalogId) === String(catalog.catalogId) && String(c.categoryHashCode) === String(update.categoryHashCode));
+                if (!category){
+                    return this.badRequest(`Unknown category ${update.categoryHashCode} in catalog ${catalog.catalogId}`);
+                }
+                category.enabled = !!update.enabled;
+            }
+        }
+        return { 'body': catalogs };
+    }
+
+    publisherStats(request){
+        const body = request.body || {};
+        const advertisers = body.advertiserIds ? String(body.advertiserIds).split(',') : this.state.advertisers.map((a) => a.advertiserId);
+        return { 'body': advertisers.map((advertiser) => ({
+            'advertiserId': Number(advertiser),
+            'publishers': ['publisher-a.example.com', 'publisher-b.example.com'].map((domain) => ({
+                'domain': domain,
+                'displays': this.metric(`${advertiser}${domain}displays`, 10000),
+                'clicks': this.metric(`${advertiser}${domain}clicks`, 200)
+            }))
+        })) };
+    }
+
+    statistics(request){
+        const query = request.body || {};
+        if (!query.format || !Array.isArray(query.dimensions) || !Array.isArray(query.metrics) || !query.startDate || !query.endDate){
+            return this.badRequest('format, dimensions, metrics, startDate and endDate are required');
+        }
+        return this.report(query, this.statisticsRows(query, false));
+    }
+
+    sellerStatistics(request){
+        const query = request.body || {};
+        if (!query.format || !Array.isArray(query.dimensions) || !Array.isArray(query.metrics) || !query.startDate || !query.endDate){
+            return this.badRequest('format, dimensions, metrics, startDate and endDate are required');
+        }
+        return this.report(query, this.statisticsRows(query, true));
+    }
+
+    report(query, rows){
+        const columns = query.dimensions.concat(query.metrics);
+        const format = query.format.toLowerCase();
+        if (format === 'json'){
+            return { 'body': { 'Rows': rows } };
+        }else if (format === 'xml'){
+            const xml = rows.map((row) => `<Row>${columns.map((c) => `<${c}>${row[c]}</${c}>`).join('')}</Row>`).join('');
+            return { 'headers': { 'Content-Type': 'text/xml' }, 'body': `<?xml version="1.0" encoding="utf-8"?><Report>${xml}</Report>` };
+        }
+        const csv = [columns.join(',')].concat(rows.map((row) => columns.map((c) => row[c]).join(','))).join('\n');
+        const type = format === 'excel' ? 'application/vnd.ms-excel' : 'text/csv';
+        return { 'headers': { 'Content-Type': type }, 'body': csv };
+    }
+
+    statisticsRows(query, bySeller){
+        const advertisers = query.advertiserIds ? String(query.advertiserIds).split(',').map(Number) : this.state.advertisers.map((a) => a.advertiserId);
+        const campaigns = this.state.campaigns.filter((c) => advertisers.indexOf(c.advertiserId) > -1);
+        // Seller reports have a row per seller of each campaign
+        const entries = bySeller ?
+            [].concat(...campaigns.map((campaign) => this.campaignSellers(campaign).map((seller) => ({ 'campaign': campaign, 'seller': seller })))) :
+            campaigns.map((campaign) => ({ 'campaign': campaign, 'seller': null }));
+        const hourly = query.dimensions.indexOf('Hour') > -1;
+        const step = hourly ? 'hour' : 'day';
+        const rows = [];
+        const end = moment.utc(query.endDate).endOf('day');
+        for (let date = moment.utc(query.startDate).startOf('day'); date.isBefore(end); date.add(1, step)){
+            for (const { campaign, seller } of entries){
+                const key = `${campaign.campaignId}${seller ? seller.sellerName : ''}${date.toISOString()}`;
+                const row = {};
+                for (const dimension of query.dimensions){
+                    row[dimension] = {
+                        'AdvertiserId': campaign.advertiserId,
+                        'CampaignId': campaign.campaignId,
+                        'Seller': seller ? seller.sellerName : undefined,
+                        'Day': date.format('YYYY-MM-DD'),
+                        'Hour': date.format('YYYY-MM-DD HH:00'),
+                        'Week': date.format('GGGG-[W]WW'),
+                        'Month': date.format('YYYY-MM'),
+                        'Year': date.format('YYYY')
+                    }[dimension];
+                }
+                for (const metric of query.metrics){
+                    row[metric] = /Cost|Revenue|Sales/.test(metric) ? this.metric(key + metric, 500) / 100 : this.metric(key + metric, metric === 'Clicks' ? 300 : 20000);
+                }
+                rows.push(row);
+            }
+        }
+        return rows;
+    }
+
+    sellers(request){
+        const campaigns = this.filterCampaigns({ 'campaignIds': request.query.campaignIds });
+        const sellers = {};
+        for (const campaign of campaigns){
+            for (const seller of this.campaignSellers(campaign)){
+                sellers[seller.sellerName] = sellers[seller.sellerName] || { 'sellerName': seller.sellerName, 'campaigns': [] };
+                sellers[seller.sellerName].campaigns.push({ 'campaignId': campaign.campaignId, 'bid': seller.bid, 'budgets': this.sellerBudgetsOf(campaign, seller) });
+            }
+        }
+        return { 'body': Object.keys(sellers).map((name) => sellers[name]) };
+    }
+
+    sellerCampaigns(request){
+        const query = request.query;
+        return { 'body': this.filterCampaigns({ 'advertiserIds': query.advertiserIds, 'campaignIds': query.campaignIds, 'campaignStatus': query.status })
+            .map((campaign) => ({
+                'campaignId': campaign.campaignId,
+                'advertiserId': campaign.advertiserId,
+                'status': campaign.campaignStatus,
+                'sellers': this.campaignSellers(campaign).map((seller) => ({ 'sellerName': seller.sellerName, 'bid': seller.bid }))
+            })) };
+    }
+
+    updateSellerBids(request){
+        const body = request.body || {};
+        const campaign = this.state.campaigns.find((c) => String(c.campaignId) === String(body.campaignId));
+        if (!campaign || !Array.isArray(body.sellerBids)){
+            return this.badRequest('A known campaignId and sellerBids are required');
+        }
+        const sellers = this.campaignSellers(campaign);
+        for (const update of body.sellerBids){
+            const seller = sellers.find((s) => s.sellerName === update.sellerName);
+            if (!seller || !(Number(update.bid) >= 0)){
+                return this.badRequest(`Invalid bid for seller ${update.sellerName}`);
+            }
+        }
+        for (const update of body.sellerBids){
+            sellers.find((s) => s.sellerName === update.sellerName).sellerCampaign.bid = Number(update.bid);
+        }
+        return { 'body': { 'campaignId': campaign.campaignId, 'sellerBids': body.sellerBids } };
+    }
+
+    createSellerBudgets(request){
+        const body = request.body || {};
+        const campaign = this.state.campaigns.find((c) => String(c.campaignId) === String(body.campaignId));
+        if (!campaign || !Array.isArray(body.sellerBudgets)){
+            return this.badRequest('A known campaignId and sellerBudgets are required');
+        }
+        const created = body.sellerBudgets.map((data) => {
+            const budget = {
+                'budgetId': this.nextId(this.state.sellerBudgets, 'budgetId'),
+                'campaignId': campaign.campaignId,
+                'sellerName': data.sellerName,
+                'amount': data.amount === undefined || data.amount === null ? null : Number(data.amount),
+                'endDate': data.endDate,
+                'status': 'Active'
+            };
+            this.state.sellerBudgets.push(budget);
+            return budget;
+        });
+        return { 'body': created };
+    }
+
+    updateSellerBudgets(request){
+        const body = request.body || {};
+        const updates = body.sellerBudgets;
+        if (!Array.isArray(updates)){
+            return this.badRequest('sellerBudgets is required');
+        }
+        const budgets = updates.map((update) => this.state.sellerBudgets.find((b) => String(b.budgetId) === String(update.budgetId)));
+        if (budgets.indexOf(undefined) > -1){
+            return this.badRequest('Unknown budgetId');
+        }
+        budgets.forEach((budget, i) => {
+            const update = updates[i];
+            Object.assign(budget, {
+                'amount': update.amount === undefined || update.amount === null ? null : Number(update.amount),
+                'endDate': update.endDate || budget.endDate,
+                'status': update.status || budget.status
+            });
+        });
+        return { 'body': budgets };
+    }
+
+    campaignSellers(campaign){
+        return this.state.crpSellerCampaigns
+            .filter((sc) => String(sc.campaignId) === String(campaign.campaignId))
+            .map((sc) => ({ ...this.state.crpSellers.find((s) => s.id === sc.sellerId), 'bid': sc.bid, 'sellerCampaign': sc }))
+            .filter((seller) => seller.sellerName);
+    }
+
+    sellerBudgetsOf(campaign, seller){
+        return (this.state.sellerBudgets || []).filter((b) => b.campaignId === campaign.campaignId && b.sellerName === seller.sellerName);
+    }
+
+    crpSellers(request){
+        const query = request.query;
+        return { 'body': this.state.crpSellers.filter((s) =>
+            (!query.sellerStatus || s.status === query.sellerStatus) &&
+            (!query.sellerName || s.sellerName === query.sellerName)) };
+    }
+
+    crpSeller(request, id){
+        return this.found(this.state.crpSellers.find((s) => s.id === id));
+    }
+
+    crpSellerBudgets(request, id){
+        return this.crpBudgets({ 'query': { ...request.query, 'sellerId': id } });
+    }
+
+    crpSellerCampaigns(request, id){
+        return this.crpCampaigns({ 'query': { ...request.query, 'sellerId': id } });
+    }
+
+    crpCampaigns(request){
+        const query = request.query;
+        return { 'body': this.state.crpSellerCampaigns.filter((c) =>
+            (!query.sellerId || c.sellerId === query.sellerId) &&
+            (!query.campaignId || String(c.campaignId) === String(query.campaignId))) };
+    }
+
+    crpCampaign(request, id){
+        return this.found(this.state.crpSellerCampaigns.find((c) => c.id === id));
+    }
+
+    updateCRPCampaign(request, id){
+        const campaign = this.state.crpSellerCampaigns.find((c) => c.id === id);
+        if (!campaign){
+            return this.notFound();
+        }
+        if (!(Number(request.query.bid) >= 0)){
+            return this.badRequest('bid must be non-negative');
+        }
+        campaign.bid = Number(request.query.bid);
+        return { 'body': campaign };
+    }
+
+    updateCRPCampaigns(request){
+        const updates = request.body;
+        if (!Array.isArray(updates)){
+            return this.badRequest('Body must be an array of seller campaigns');
+        }
+        const updated = [];
+        for (const update of updates){
+            const campaign = this.state.crpSellerCampaigns.find((c) => c.id === update.id);
+            if (!campaign || !(Number(update.bid) >= 0)){
+                return this.badRequest(`Invalid update for seller campaign ${update.id}`);
+            }
+            updated.push(campaign);
+        }
+        updated.forEach((campaign, i) => campaign.bid = Number(updates[i].bid));
+        return { 'body': updated };
+    }
+
+    crpCampaignBudgets(request, id){
+        return { 'body': this.crpBudgets(request).body.filter((b) => b.campaignIds.indexOf(id) > -1) };
+    }
+
+    crpBudgets(request){
+        const query = request.query;
+        return { 'body': this.state.crpBudgets.filter((b) =>
+            (!query.status || b.status === query.status) &&
+            (!query.sellerId || b.sellerId === query.sellerId) &&
+            (!query.campaignId || b.campaignIds.indexOf(query.campaignId) > -1) &&
+            (!query.type || b.budgetType === query.type) &&
+            (!query.startBeforeDate || b.startDate < query.startBeforeDate) &&
+            (!query.endAfterDate || !b.endDate || b.endDate > query.endAfterDate))
+            .map((b) => this.budgetView(b, query)) };
+    }
+
+    crpBudget(request, id){
+        const budget = this.state.crpBudgets.find((b) => b.id === id);
+        return this.found(budget && this.budgetView(budget, { 'withSpend': 'true', 'withBalance': 'true' }));
+    }
+
+    updateCRPBudget(request, id){
+        const budget = this.state.crpBudgets.find((b) => b.id === id);
+        if (!budget){
+            return this.notFound();
+        }
+        const error = this.applyBudget(budget, request.body || {});
+        return error ? this.badRequest(error) : { 'body': this.budgetView(budget, {}) };
+    }
+
+    updateCRPBudgets(request){
+        const updates = request.body;
+        if (!Array.isArray(updates)){
+            return this.badRequest('Body must be an array of budgets');
+        }
+        const updated = [];
+        for (const update of updates){
+            const budget = this.state.crpBudgets.find((b) => b.id === String(update.budgetId));
+            if (!budget){
+                return this.badRequest(`Unknown budget ${update.budgetId}`);
+            }
+            const error = this.applyBudget(budget, update);
+            if (error){
+                return this.badRequest(error);
+            }
+            updated.push(this.budgetView(budget, {}));
+        }
+        return { 'body': updated };
+    }
+
+    createCRPBudgets(request){
+        const budgets = request.body;
+        if (!Array.isArray(budgets)){
+            return this.badRequest('Body must be an array of budgets');
+        }
+        const created = [];
+        for (const data of budgets){
+            if (!data.sellerId || !data.startDate){
+                return this.badRequest('sellerId and startDate are required');
+            }
+            const budget = {
+                'id': String(this.nextId(this.state.crpBudgets, 'id')),
+                'sellerId': String(data.sellerId),
+                'budgetType': data.budgetType || 'Capped',
+                'amount': data.amount === undefined ? null : Number(data.amount),
+                'startDate': data.startDate,
+                'endDate': data.endDate || null,
+                'campaignIds': data.campaignIds || [],
+                'isSuspended': false,
+                'status': 'Scheduled',
+                'spend': 0
+            };
+            const error = this.applyBudget(budget, {});
+            if (error){
+                return this.badRequest(error);
+            }
+            this.state.crpBudgets.push(budget);
+            created.push(this.budgetView(budget, {}));
+        }
+        return { 'status': 201, 'body': created };
+    }
+
+    applyBudget(budget, update){
+        const result = { ...budget, ...update };
+        delete result.budgetId;
+        if (result.amount !== null && !(Number(result.amount) >= 0)){
+            return 'amount must be non-negative';
+        }
+        if (result.endDate && result.endDate < result.startDate){
+            return 'endDate must not be before startDate';
+        }
+        Object.assign(budget, result, { 'amount': result.amount === null ? null : Number(result.amount) });
+        const today = moment.utc().format('YYYY-MM-DD');
+        budget.status = budget.endDate && budget.endDate < today ? 'Archived' : budget.startDate > today ? 'Scheduled' : 'Current';
+    }
+
+    budgetView(budget, query){
+        const view = { ...budget };
+        delete view.spend;
+        if (query.withSpend === 'true'){
+            view.spend = budget.spend;
+        }
+        if (query.withBalance === 'true'){
+            view.balance = budget.amount === null ? null : Math.max(0, budget.amount - budget.spend);
+        }
+        return view;
+    }
+
+    crpStats(request, level){
+        const query = request.query;
+        const interval = { 'Hour': 'hour', 'Day': 'day', 'Month': 'month', 'Year': 'year' }[query.intervalSize] || 'day';
+        const end = query.endDate ? moment.utc(query.endDate) : moment.utc();
+        const start = query.startDate ? moment.utc(query.startDate) : end.clone().subtract(7, 'days');
+        const campaigns = this.state.crpSellerCampaigns.filter((c) =>
+            (!query.sellerId || c.sellerId === query.sellerId) &&
+            (!query.campaignId || String(c.campaignId) === String(query.campaignId)));
+        const rows = [];
+        for (let date = start.clone().startOf(interval); date.isBefore(end); date.add(1, interval)){
+            const groups = {};
+            for (const campaign of campaigns){
+                const key = level === 'campaigns' ? campaign.campaignId : level === 'sellers' ? campaign.sellerId : campaign.id;
+                const seed = `${campaign.id}${date.toISOString()}`;
+                const row = groups[key] = groups[key] || {
+                    'intervalStart': date.toISOString(),
+                    'campaignId': level === 'sellers' ? undefined : campaign.campaignId,
+                    'sellerId': level === 'campaigns' ? undefined : campaign.sellerId,
+                    'sellerCampaignId': level === 'seller-campaigns' ? campaign.id : undefined,
+                    'clicks': 0,
+                    'displays': 0,
+                    'cost': 0,
+                    'salesUnits': 0,
+                    'revenue': 0
+                };
+                row.clicks += this.metric(`${seed}clicks`, 100);
+                row.displays += this.metric(`${seed}displays`, 5000);
+                row.cost += this.metric(`${seed}cost`, 3000) / 100;
+                row.salesUnits += this.metric(`${seed}sales`, 10);
+                row.revenue += this.metric(`${seed}revenue`, 20000) / 100;
+            }
+            rows.push(...Object.values(groups));
+        }
+        return { 'body': query.count ? rows.slice(0, Number(query.count)) : rows };
+    }
+
+    filterCampaigns(query){
+        return this.state.campaigns.filter((c) =>
+            this.inList(query.advertiserIds, c.advertiserId) &&
+            this.inList(query.campaignIds, c.campaignId) &&
+            (!query.campaignStatus || c.campaignStatus === query.campaignStatus) &&
+            (!query.bidType || c.bidType === query.bidType));
+    }
+
+    filterEnabled(request, categories){
+        return request.query.enabledOnly === 'true' ? categories.filter((c) => c.enabled) : categories;
+    }
+
+    audienceView(audience){
+        const view = { ...audience, 'nbLines': Object.keys(audience.members).length };
+        delete view.members;
+        return view;
+    }
+
+    inList(list, value){
+        return !list || String(list).split(',').map((v) => v.trim()).indexOf(String(value)) > -1;
+    }
+
+    metric(seed, max){
+        return crypto.createHash('md5').update(seed).digest().readUInt32BE(0) % max;
+    }
+
+    nextId(items, key){
+        return items.reduce((max, item) => Math.max(max, Number(item[key]) || 0), 0) + 1;
+    }
+
+    found(item){
+        return item ? { 'body': item } : this.notFound();
+    }
+
+    notFound(){
+        return { 'status': 404, 'body': { 'errors': [{ 'message': 'Not found' }] } };
+    }
+
+    badRequest(message){
+        return { 'status': 400, 'body': { 'errors': [{ 'message': message }] } };
+    }
+
+    /**
+     * The sample state a new server starts with.
+     * @returns {object}
+     */
+    static defaultState(){
+        const day = (offset) => moment.utc().add(offset, 'days').format('YYYY-MM-DD');
+        return {
+            'advertisers': [
+                { 'advertiserId': 100, 'advertiserName': 'Example Shoes' },
+                { 'advertiserId': 200, 'advertiserName': 'Example Books' }
+            ],
+            'campaigns': [
+                { 'campaignId': 1001, 'campaignName': 'Shoes - Prospecting', 'advertiserId': 100, 'campaignStatus': 'Running', 'bidType': 'CPC', 'budgetId': 501, 'bidValue': 0.5, 'categoryBids': [{ 'categoryHashCode': 9001, 'bidValue': 0.6 }] },
+                { 'campaignId': 1002, 'campaignName': 'Shoes - Retargeting', 'advertiserId': 100, 'campaignStatus': 'NotRunning', 'bidType': 'COS', 'budgetId': 501, 'bidValue': 0.1, 'categoryBids': [] },
+                { 'campaignId': 2001, 'campaignName': 'Books - Retargeting', 'advertiserId': 200, 'campaignStatus': 'Running', 'bidType': 'CPC', 'budgetId': 502, 'bidValue': 0.35, 'categoryBids': [] }
+            ],
+            'categories': [
+                { 'categoryHashCode': 9001, 'categoryName': 'Sneakers', 'catalogId': 71, 'advertiserId': 100, 'enabled': true },
+                { 'categoryHashCode': 9002, 'categoryName': 'Boots', 'catalogId': 71, 'advertiserId': 100, 'enabled': false },
+                { 'categoryHashCode': 9101, 'categoryName': 'Fiction', 'catalogId': 72, 'advertiserId': 200, 'enabled': true }
+            ],
+            'budgets': [
+                { 'budgetId': 501, 'advertiserId': 100, 'budgetName': 'Shoes', 'budgetType': 'Capped', 'totalAmount': 10000, 'remainingBudget': 4200 },
+                { 'budgetId': 502, 'advertiserId': 200, 'budgetName': 'Books', 'budgetType': 'Uncapped', 'totalAmount': null, 'remainingBudget': null }
+            ],
+            'audiences': [
+                { 'id': 301, 'advertiserId': 100, 'name': 'Newsletter subscribers', 'description': 'CRM export', 'members': {} }
+            ],
+            'sellerBudgets': [],
+            'crpSellers': [
+                { 'id': '11', 'sellerName': 'Acme Retail', 'status': 'Active' },
+                { 'id': '12', 'sellerName': 'Globex Store', 'status': 'Active' }
+            ],
+            'crpSellerCampaigns': [
+                { 'id': '11.1001', 'sellerId': '11', 'campaignId': 1001, 'bid': 0.4 },
+                { 'id': '12.1001', 'sellerId': '12', 'campaignId': 1001, 'bid': 0.3 }
+            ],
+            'crpBudgets': [
+                { 'id': '41', 'sellerId': '11', 'budgetType': 'Capped', 'amount': 3000, 'startDate': day(-10), 'endDate': day(20), 'campaignIds': ['11.1001'], 'isSuspended': false, 'status': 'Current', 'spend': 1800 },
+                { 'id': '42', 'sellerId': '12', 'budgetType': 'Capped', 'amount': 3000, 'startDate': day(-10), 'endDate': day(20), 'campaignIds': ['12.1001'], 'isSuspended': false, 'status': 'Current', 'spend': 400 },
+                { 'id': '43', 'sellerId': '12', 'budgetType': 'Uncapped', 'amount': null, 'startDate': day(-40), 'endDate': day(-11), 'campaignIds': ['12.1001'], 'isSuspended': false, 'status': 'Archived', 'spend': 950 }
+            ]
+        };
+    }
+}
+
+module.exports = Mock_MAPI_Server;
@@ -0,0 +1,98 @@
+const moment = require('moment');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Compute the pacing of a CRP budget.
+ * The period runs from the start of startDate to the end of endDate (UTC). Daily budgets are paced on
+ * amount × days. The projection uses the recent daily run rate when given, or else the average spend so far.
+ * @param {object} budget - CRP budget, with spend (withSpend)
+ * @param {object} [options]
+ * @param {Date} [options.asOf=now]
+ * @param {number} [options.tolerance=0.1] - Share of the budget a projection may be off by and still be on pace.
+ * @param {?number} [options.runRate] - Recent spend per day
+ * @returns {object} { budgetId, sellerId, budgetType, amount, startDate, endDate, spend, expectedSpend, projectedSpend, runRate,
+ * daysElapsed, daysRemaining, pace, status }, where status is over-pacing, under-pacing, on-pace, exhausted or unknown (no amount or end date).
+ */
+function budgetPacing(budget, options = {}){
+    const { tolerance = 0.1 } = options;
+    const asOf = moment.utc(options.asOf || new Date()).valueOf();
+    const start = moment.utc(budget.startDate).startOf('day').valueOf();
+    const end = budget.endDate ? moment.utc(budget.endDate).endOf('day').valueOf() + 1 : null;
+    const totalDays = end === null ? null : (end - start) / DAY;
+    const daysElapsed = Math.max(0, (end === null ? asOf : Math.min(asOf, end)) - start) / DAY;
+    const daysRemaining = end === null ? null : Math.max(0, end - Math.max(asOf, start)) / DAY;
+    const spend = number(budget.spend);
+    let amount = budget.amount === null || budget.amount === undefined ? null : Number(budget.amount);
+    if (amount !== null && budget.budgetType === 'Daily'){
+        amount = totalDays === null ? null : amount * totalDays;
+    }
+    const runRate = options.runRate !== undefined && options.runRate !== null ?
+        options.runRate :
+        (daysElapsed > 0 ? spend / daysElapsed : 0);
+    const expectedSpend = amount === null || totalDays === null ? null : amount * Math.min(1, daysElapsed / totalDays);
+    const projectedSpend = daysRemaining === null ? null : spend + runRate * daysRemaining;
+    let status = 'unknown';
+    if (amount !== null && spend >= amount){
+        status = 'exhausted';
+    }else if (amount !== null && projectedSpend !== null){
+        status = projectedSpend > amount * (1 + tolerance) ? 'over-pacing' :
+            projectedSpend < amount * (1 - tolerance) ? 'under-pacing' :
+            'on-pace';
+    }
+    return {
+        'budgetId': budget.id,
+        'sellerId': budget.sellerId,
+        'budgetType': budget.budgetType,
+        'amount': amount,
+        'startDate': budget.startDate,
+        'endDate': budget.endDate || null,
+        'spend': round(spend),
+        'expectedSpend': round(expectedSpend),
+        'projectedSpend': round(projectedSpend),
+        'runRate': round(runRate),
+        'daysElapsed': round(daysElapsed),
+        'daysRemaining': round(daysRemaining),
+        'pace': expectedSpend ? round(spend / expectedSpend) : null,
+        'status': status
+    };
+}
+
+/**
+ * Sum the daily cost of a budget's seller campaigns over the days of a run rate window within the budget period.
+ * @param {object} budget - CRP budget
+ * @param {object[]} rows - Daily rows of getCRPStatsBySellerCampaign
+ * @param {Date} from - Start of the window
+ * @param {Date} to - End of the window
+ * @returns {object} { spend, runRate }: the cost in the window and per day of it, or null if no day of the window is in the budget period.
+ */
+function budgetStats(budget, rows, from, to){
+    const start = Math.max(moment.utc(from).valueOf(), moment.utc(budget.startDate).startOf('day').valueOf());
+    const end = Math.min(moment.utc(to).valueOf(), budget.endDate ? moment.utc(budget.endDate).endOf('day').valueOf() + 1 : Infinity);
+    if (end <= start){
+        return null;
+    }
+    const campaigns = (budget.campaignIds || []).map(String);
+    const spend = rows
+        .filter((row) => campaigns.indexOf(String(row.sellerCampaignId)) > -1)
+        .filter((row) => {
+            const time = moment.utc(row.intervalStart).valueOf();
+            return time >= start && time < end;
+        })
+        .reduce((sum, row) => sum + number(row.cost), 0);
+    return { 'spend': spend, 'runRate': spend / ((end - start) / DAY) };
+}
+
+function number(value){
+    const n = Number(value);
+    return isFinite(n) ? n : 0;
+}
+
+function round(value){
+    return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    budgetPacing,
+    budgetStats
+};
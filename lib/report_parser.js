@@ -0,0 +1,200 @@
+const moment = require('moment');
+const { parseCSVObjects } = require('./csv.js');
+
+const DATE_DIMENSIONS = ['Day', 'Hour'];
+const DATE_FORMATS = [
+    moment.ISO_8601,
+    'YYYY-MM-DD HH:mm:ss',
+    'YYYY-MM-DD HH:mm',
+    'YYYY-MM-DD',
+    'MM/DD/YYYY HH:mm',
+    'MM/DD/YYYY'
+];
+const ROW_KEYS = ['Rows', 'rows', 'Data', 'data', 'Results', 'results'];
+
+/**
+ * Parse a CSV, XML or JSON statistics report into row objects.
+ * Metric columns (the query's metrics) become numbers, Day / Hour columns become Date objects (parsed as UTC),
+ * and other dimensions are strings, whatever the format.
+ * @param {string} body - The report
+ * @param {object} query - The statistics query the report was requested with
+ * @param {object} [options]
+ * @param {string} [options.decimal] - Decimal separator of metric values, '.' or ','. Detected per value by default.
+ * @returns {object[]}
+ */
+function parseReport(body, query, options = {}){
+    const format = (query.format || '').toLowerCase();
+    let rows;
+    if (format === 'json'){
+        rows = findRows(JSON.parse(body));
+    }else if (format === 'xml'){
+        rows = parseXMLRows(body);
+    }else if (format === 'csv'){
+        rows = parseCSVObjects(body);
+    }else{
+        throw new Error(`Reports in format '${query.format}' cannot be parsed into rows`);
+    }
+    return rows.map((row) => typeRow(row, query, options));
+}
+
+/**
+ * Find the array of rows in a parsed JSON report.
+ * @param {*} data
+ * @returns {object[]}
+ */
+function findRows(data){
+    if (Array.isArray(data)){
+        return data;
+    }
+    if (data && typeof data === 'object'){
+        const key = ROW_KEYS.find((k) => Array.isArray(data[k])) || Object.keys(data).find((k) => Array.isArray(data[k]));
+        return key ? data[key] : [];
+    }
+    return [];
+}
+
+function typeRow(row, query, options){
+    const metrics = (query.metrics || []).map((m) => m.toLowerCase());
+    const typed = {};
+    for (const column in row){
+        const value = row[column];
+        if (metrics.indexOf(column.toLowerCase()) > -1){
+            typed[column] = parseNumber(value, options.decimal);
+        }else if (DATE_DIMENSIONS.indexOf(column) > -1){
+            typed[column] = parseDate(value);
+        }else{
+            typed[column] = value === null || value === undefined ? value : String(value);
+        }
+    }
+    return typed;
+}
+
+/**
+ * Parse a number formatted with thousands separators, currency symbols or a decimal comma.
+ * '1,234.56', '1.234,56', '$1,234.56', '1 234,56 €', '(12.50)' and '12.5%' are all understood.
+ * @param {*} value
+ * @param {string} [decimal] - Decimal separator, '.' or ','. Detected if not given.
+ * @returns {?number} The number, null for empty values, or the value itself if it is not numeric.
+ */
+function parseNumber(value, decimal){
+    if (typeof value === 'number' || value === null || value === undefined){
+        return value === undefined ? null : value;
+    }
+    const text = String(value).trim();
+    if (text === ''){
+        return null;
+    }
+    const negative = /^\(.*\)$/.test(text) || /^-|-$/.test(text.replace(/[^\d.,-]/g, ''));
+    let digits = text.replace(/[^\d.,]/g, '');
+    if (!/\d/.test(digits)){
+        return value;
+    }
+    if (!decimal){
+        const lastComma = digits.lastIndexOf(',');
+        const lastDot = digits.lastIndexOf('.');
+        if (lastComma > -1 && lastDot > -1){
+            decimal = lastComma > lastDot ? ',' : '.';
+        }else if (lastComma > -1){
+            decimal = /^\d{1,3}(,\d{3})+$/.test(digits) ? '.' : ',';
+        }else{
+            decimal = /^\d{1,3}(\.\d{3}){2,}$/.test(digits) ? ',' : '.';
+        }
+    }
+    const thousands = decimal === ',' ? '.' : ',';
+    digits = digits.split(thousands).join('').replace(decimal, '.');
+    const number = parseFloat(digits);
+    if (isNaN(number)){
+        return value;
+    }
+    return negative ? -number : number;
+}
+
+function parseDate(value){
+    if (value instanceof Date || value === null || value === undefined || value === ''){
+        return value;
+    }
+    const date = moment.utc(String(value).trim(), DATE_FORMATS, true);
+    return date.isValid() ? date.toDate() : value;
+}
+
+/**
+ * Extract rows from a flat XML report: the first set of sibling elements that each hold
+ * leaf elements (<Row><Day>..</Day></Row>) or attributes (<Row Day=".." />).
+ * @param {string} xml
+ * @returns {object[]}
+ */
+function parseXMLRows(xml){
+    const root = parseXML(xml);
+    const find = (node) => {
+        const rows = node.children.filter((child) => child.children.length || Object.keys(child.attributes).length);
+        if (rows.length && rows.every((row) => row.children.every((leaf) => !leaf.children.length))){
+            return rows.map((row) => {
+                const data = { ...row.attributes };
+                row.children.forEach((leaf) => data[leaf.name] = leaf.text);
+                return data;
+            });
+        }
+        for (const child of node.children){
+            const found = find(child);
+            if (found){
+                return found;
+            }
+        }
+        return null;
+    };
+    return find(root) || [];
+}
+
+function parseXML(xml){
+    const root = { 'name': null, 'attributes': {}, 'children': [], 'text': '' };
+    const stack = [root];
+    const tags = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][^>]*>|<\/([^\s>]+)\s*>|<([^\s>/]+)([^>]*?)(\/?)>|([^<]+)/g;
+    let match;
+    while ((match = tags.exec(xml)) !== null){
+        const current = stack[stack.length - 1];
+        if (match[1] !== undefined){
+            current.text += match[1];
+        }else if (match[2]){
+            if (stack.length > 1){
+                stack.pop();
+            }
+        }else if (match[3]){
+            const node = { 'name': match[3], 'attributes': parseAttributes(match[4]), 'children': [], 'text': '' };
+            current.children.push(node);
+            if (!match[5]){
+                stack.push(node);
+            }
+        }else if (match[6]){
+            current.text += decodeEntities(match[6]);
+        }
+    }
+    return root;
+}
+
+function parseAttributes(text){
+    const attributes = {};
+    const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null){
+        attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+    }
+    return attributes;
+}
+
+function decodeEntities(text){
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+module.exports = {
+    parseReport,
+    findRows,
+    parseNumber,
+    parseDate
+};
@@ -0,0 +1,559 @@
+const { budgetPacing } = require('./pacing.js');
+
+/**
+ * Base of the resource objects: the fields of an API response, plus methods that call the client it came from.
+ * The client is not enumerable, so that resources serialize to the fields alone.
+ * Fields named like a method, such as the categories of a campaign, do not replace it and are read from resource.data.
+ * @class
+ */
+class Resource {
+
+    /**
+     * @param {Criteo_MAPI_Client} client
+     * @param {object} [data] - Fields of the resource, as returned by the API
+     */
+    constructor(client, data = {}){
+        Object.defineProperty(this, 'client', { 'value': client, 'writable': true });
+        Object.defineProperty(this, 'data', { 'value': {}, 'writable': true });
+        assignFields(this, data);
+    }
+
+    /**
+     * Serialize to every field of the resource, including those named like a method.
+     */
+    toJSON(){
+        return { ...this.data, ...this };
+    }
+
+    /**
+     * Resolve a request with the client's callback handling.
+     */
+    call(promise, callback){
+        return this.client.withCallback(promise, callback);
+    }
+
+    /**
+     * Apply changes once the request that makes them succeeds, along with the fields of an object response.
+     * In dry run, the resource is left as it is and the preview is resolved instead.
+     */
+    commit(promise, changes, callback){
+        return this.call(promise.then((res) => {
+            if (res && res.dryRun){
+                return res;
+            }
+            assignFields(this, changes);
+            if (res && typeof res === 'object' && !Array.isArray(res)){
+                assignFields(this, res);
+            }
+            return this;
+        }), callback);
+    }
+
+    /**
+     * Wrap a list of API responses in resources of a class.
+     */
+    wrap(Type, promise, callback){
+        return this.call(promise.then((list) => wrapAll(this.client, Type, list)), callback);
+    }
+}
+
+/**
+ * An advertiser account of the portfolio.
+ * @class
+ * @extends Resource
+ */
+class Advertiser extends Resource {
+
+    /**
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Campaign[]>}
+     */
+    campaigns(callback){
+        return this.wrap(Campaign, this.client.getCampaignsByAdvertiser(this.advertiserId), callback);
+    }
+
+    /**
+     * @param {boolean} [enabled=false] - Filter for enabled categories
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Category[]>}
+     */
+    categories(enabled = false, callback){
+        return this.wrap(Category, this.client.getCategoriesByAdvertiser(this.advertiserId, enabled), callback);
+    }
+
+    /**
+     * @param {(integer|string)} category - Category hash code
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Category>}
+     */
+    category(category, callback){
+        return this.call(this.client.getCategoryByAdvertiser(this.advertiserId, category)
+            .then((data) => new Category(this.client, data)), callback);
+    }
+
+    /**
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Audience[]>}
+     */
+    audiences(callback){
+        return this.wrap(Audience, this.client.getAudiences(this.advertiserId), callback);
+    }
+
+    /**
+     * @param {object} options
+     * @param {string} options.name - Audience name
+     * @param {string} [options.description] - Audience description
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Audience>} The new audience, or the request preview in dry run.
+     */
+    createAudience(options, callback){
+        return this.call(this.client.createAudience(this.advertiserId, options)
+            .then((res) => res && res.dryRun ? res : new Audience(this.client, {
+                'id': res.audienceId,
+                'advertiserId': this.advertiserId,
+                'name': options.name,
+                'description': options.description
+            })), callback);
+    }
+
+    /**
+     * Get the bids of the advertiser's campaigns.
+     * @param {object} [options] - Other getBids filters
+     * @param {function} [callback] - Optional callback
+     */
+    bids(options = {}, callback){
+        return this.call(this.client.getBids({ ...options, 'advertiserIds': this.advertiserId }), callback);
+    }
+
+    /**
+     * @param {boolean} [active=true] - Filter for budgets with active campaigns.
+     * @param {function} [callback] - Optional callback
+     */
+    budgets(active = true, callback){
+        return this.call(this.client.getBudgets({ 'advertiserIds': this.advertiserId }, active), callback);
+    }
+}
+
+/**
+ * A campaign, with its bid.
+ * @class
+ * @extends Resource
+ */
+class Campaign extends Resource {
+
+    /**
+     * The campaign's advertiser. No request is made, as the API has no endpoint for a single advertiser.
+     * @returns {Advertiser}
+     */
+    advertiser(){
+        return new Advertiser(this.client, { 'advertiserId': this.advertiserId });
+    }
+
+    /**
+     * @param {boolean} [enabled=false] - Filter for enabled categories
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Category[]>}
+     */
+    categories(enabled = false, callback){
+        return this.wrap(Category, this.client.getCategoriesByCampaign(this.campaignId, enabled), callback);
+    }
+
+    /**
+     * @param {(integer|string)} category - Category hash code
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Category>}
+     */
+    category(category, callback){
+        return this.call(this.client.getCategoryByCampaign(this.campaignId, category)
+            .then((data) => new Category(this.client, data)), callback);
+    }
+
+    /**
+     * Get the campaign bid and category bids, as returned by getBids.
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<?object>}
+     */
+    bids(callback){
+        return this.call(this.client.getBids({ 'campaignIds': this.campaignId })
+            .then((campaigns) => (campaigns || []).find((c) => String(c.campaignId) === String(this.campaignId)) || null), callback);
+    }
+
+    /**
+     * Get the CRP seller campaigns of the campaign.
+     * @param {object} [options] - Other getCRPCampaigns filters
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<CRP_Seller_Campaign[]>}
+     */
+    sellerCampaigns(options = {}, callback){
+        return this.wrap(CRP_Seller_Campaign, this.client.getCRPCampaigns({ ...options, 'campaignId': this.campaignId }), callback);
+    }
+
+    /**
+     * Change the campaign bid, and category bids, with updateBids.
+     * @param {object} changes
+     * @param {(number|string)} [changes.bidValue]
+     * @param {object[]} [changes.categories] - Category bids ({ categoryHashCode, bidValue }) to change
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Campaign>}
+     */
+    update(changes = {}, callback){
+        const update = {
+            'campaignId': this.campaignId,
+            'bidValue': changes.bidValue === undefined ? this.bidValue : changes.bidValue
+        };
+        if (changes.categories){
+            update.categories = changes.categories;
+        }
+        return this.commit(this.client.updateBids([update]), { 'bidValue': update.bidValue }, callback);
+    }
+
+    /**
+     * Send the campaign's bidValue with updateBids.
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Campaign>}
+     */
+    save(callback){
+        return this.update({}, callback);
+    }
+
+    /**
+     * Reload the campaign.
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Campaign>}
+     */
+    refresh(callback){
+        return this.commit(this.client.getCampaign(this.campaignId), {}, callback);
+    }
+}
+
+/**
+ * A category of an advertiser's catalog.
+ * @class
+ * @extends Resource
+ */
+class Category extends Resource {
+
+    /**
+     * Enable or disable the category with updateCategories.
+     * @param {object} changes
+     * @param {boolean} changes.enabled
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Category>}
+     */
+    update(changes = {}, callback){
+        const enabled = changes.enabled === undefined ? this.enabled : changes.enabled;
+        return this.commit(this.client.updateCategories([{
+            'catalogId': this.catalogId,
+            'categories': [{ 'categoryHashCode': this.categoryHashCode, 'enabled': enabled }]
+        }]), { 'enabled': enabled }, callback);
+    }
+
+    /**
+     * Send the category's enabled state with updateCategories.
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Category>}
+     */
+    save(callback){
+        return this.update({}, callback);
+    }
+
+    enable(callback){
+        return this.update({ 'enabled': true }, callback);
+    }
+
+    disable(callback){
+        return this.update({ 'enabled': false }, callback);
+    }
+}
+
+/**
+ * An audience of an advertiser.
+ * @class
+ * @extends Resource
+ */
+class Audience extends Resource {
+
+    /**
+     * The audience's advertiser. No request is made.
+     * @returns {Advertiser}
+     */
+    advertiser(){
+        return new Advertiser(this.client, { 'advertiserId': this.advertiserId });
+    }
+
+    /**
+     * Change the name or description with updateAudience.
+     * @param {object} changes
+     * @param {string} [changes.name]
+     * @param {string} [changes.description]
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Audience>}
+     */
+    update(changes = {}, callback){
+        const update = {
+            'name': changes.name === undefined ? this.name : changes.name,
+            'description': changes.description === undefined ? this.description : changes.description
+        };
+        return this.commit(this.client.updateAudience(this.id, update), update, callback);
+    }
+
+    /**
+     * Send the audience's name and description with updateAudience.
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Audience>}
+     */
+    save(callback){
+        return this.update({}, callback);
+    }
+
+    delete(callback){
+        return this.call(this.client.deleteAudience(this.id), callback);
+    }
+
+    wipe(callback){
+        return this.call(this.client.wipeAudience(this.id), callback);
+    }
+
+    /**
+     * Add users, see addToAudience. Uploads of more than 50000 ids are split with bulkAddToAudience.
+     * @param {object} options - schema, identifiers, etc.
+     * @param {function} [callback] - Optional callback
+     */
+    add(options = {}, callback){
+        const many = Array.isArray(options.identifiers) && options.identifiers.length > 50000;
+        return this.call(many ? this.client.bulkAddToAudience(this.id, options) : this.client.addToAudience(this.id, options), callback);
+    }
+
+    /**
+     * Remove users, see removeFromAudience. Uploads of more than 50000 ids are split with bulkRemoveFromAudience.
+     * @param {object} options - schema, identifiers, etc.
+     * @param {function} [callback] - Optional callback
+     */
+    remove(options = {}, callback){
+        const many = Array.isArray(options.identifiers) && options.identifiers.length > 50000;
+        return this.call(many ? this.client.bulkRemoveFromAudience(this.id, options) : this.client.removeFromAudience(this.id, options), callback);
+    }
+
+    /**
+     * Converge the audience on a member list, see syncAudience.
+     * @param {(string[]|string)} identifiers
+     * @param {object} options - schema, stateFile, etc.
+     * @param {function} [callback] - Optional callback
+     */
+    sync(identifiers, options = {}, callback){
+        return this.call(this.client.syncAudience(this.id, identifiers, options), callback);
+    }
+}
+
+/**
+ * A CRP seller.
+ * @class
+ * @extends Resource
+ */
+class CRP_Seller extends Resource {
+
+    /**
+     * @param {object} [options] - sellerStatus, campaignId or budgetStatus
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<CRP_Seller_Campaign[]>}
+     */
+    campaigns(options = {}, callback){
+        return this.wrap(CRP_Seller_Campaign, this.client.getCRPCampaignsBySeller(this.id, options), callback);
+    }
+
+    /**
+     * @param {object} [options] - status, withSpend, type, etc.
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<CRP_Budget[]>}
+     */
+    budgets(options = {}, callback){
+        return this.wrap(CRP_Budget, this.client.getCRPBudgetsBySeller(this.id, options), callback);
+    }
+
+    /**
+     * @param {object} budget - amount, startDate, endDate, campaignIds and budgetType
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<CRP_Budget>} The new budget, or the request preview in dry run.
+     */
+    createBudget(budget, callback){
+        return this.call(this.client.createCRPBudgets([{ ...budget, 'sellerId': this.id }])
+            .then((res) => res && res.dryRun ? res : new CRP_Budget(this.client, Array.isArray(res) ? res[0] : res)), callback);
+    }
+
+    /**
+     * @param {object} [options] - getCRPStatsBySeller options
+     * @param {function} [callback] - Optional callback
+     */
+    stats(options = {}, callback){
+        return this.call(this.client.getCRPStatsBySeller({ ...options, 'sellerId': this.id }), callback);
+    }
+
+    /**
+     * @param {object} [options] - getCRPPacing options
+     * @param {function} [callback] - Optional callback
+     */
+    pacing(options = {}, callback){
+        return this.call(this.client.getCRPPacing({ ...options, 'sellerIds': this.id }), callback);
+    }
+}
+
+/**
+ * A CRP seller campaign: a campaign as run for one seller, with its bid.
+ * @class
+ * @extends Resource
+ */
+class CRP_Seller_Campaign extends Resource {
+
+    /**
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<CRP_Seller>}
+     */
+    seller(callback){
+        return this.call(this.client.getCRPSeller(this.sellerId).then((data) => new CRP_Seller(this.client, data)), callback);
+    }
+
+    /**
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<Campaign>}
+     */
+    campaign(callback){
+        return this.call(this.client.getCampaign(this.campaignId).then((data) => new Campaign(this.client, data)), callback);
+    }
+
+    /**
+     * @param {object} [options] - status, withSpend, type, etc.
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<CRP_Budget[]>}
+     */
+    budgets(options = {}, callback){
+        return this.wrap(CRP_Budget, this.client.getCRPBudgetsByCampaign(this.id, options), callback);
+    }
+
+    /**
+     * @param {object} [options] - getCRPStatsBySellerCampaign options
+     * @param {function} [callback] - Optional callback
+     */
+    stats(options = {}, callback){
+        return this.call(this.client.getCRPStatsBySellerCampaign({ ...options, 'campaignId': this.id }), callback);
+    }
+
+    /**
+     * Change the bid with updateCRPBidByCampaign.
+     * @param {object} changes
+     * @param {(number|string)} changes.bid - Setting to 0 will deactivate the campaign
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<CRP_Seller_Campaign>}
+     */
+    update(changes = {}, callback){
+        const bid = changes.bid === undefined ? this.bid : changes.bid;
+        return this.commit(this.client.updateCRPBidByCampaign(this.id, bid), { 'bid': bid }, callback);
+    }
+
+    /**
+     * Send the seller campaign's bid with updateCRPBidByCampaign.
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<CRP_Seller_Campaign>}
+     */
+    save(callback){
+        return this.update({}, callback);
+    }
+}
+
+const CRP_BUDGET_FIELDS = ['amount', 'startDate', 'endDate', 'campaignIds', 'isSuspended'];
+
+/**
+ * A CRP budget of a seller.
+ * @class
+ * @extends Resource
+ */
+class CRP_Budget extends Resource {
+
+    /**
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<CRP_Seller>}
+     */
+    seller(callback){
+        return this.call(this.client.getCRPSeller(this.sellerId).then((data) => new CRP_Seller(this.client, data)), callback);
+    }
+
+    /**
+     * The seller campaigns the budget applies to.
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<CRP_Seller_Campaign[]>}
+     */
+    campaigns(callback){
+        const ids = (this.campaignIds || []).map(String);
+        return this.call(this.client.getCRPCampaignsBySeller(this.sellerId)
+            .then((list) => wrapAll(this.client, CRP_Seller_Campaign, (list || []).filter((c) => ids.indexOf(String(c.id)) > -1))), callback);
+    }
+
+    /**
+     * Change some fields of the budget with updateCRPBudget. Only the fields given are sent.
+     * @param {object} changes - amount, startDate, endDate, campaignIds and/or isSuspended
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<CRP_Budget>}
+     */
+    update(changes = {}, callback){
+        const update = { ...changes };
+        return this.commit(this.client.updateCRPBudget(this.id, update), update, callback);
+    }
+
+    /**
+     * Send the budget's amount, dates, campaigns and suspension with updateCRPBudget.
+     * @param {function} [callback] - Optional callback
+     * @returns {Promise<CRP_Budget>}
+     */
+    save(callback){
+        const update = {};
+        for (const field of CRP_BUDGET_FIELDS){
+            if (this[field] !== undefined){
+                update[field] = this[field];
+            }
+        }
+        return this.update(update, callback);
+    }
+
+    suspend(callback){
+        return this.update({ 'isSuspended': true }, callback);
+    }
+
+    resume(callback){
+        return this.update({ 'isSuspended': false }, callback);
+    }
+
+    /**
+     * Compute the pacing of the budget from its spend, without a request. See budgetPacing.
+     * @param {object} [options] - asOf, tolerance and runRate
+     * @returns {object}
+     */
+    pacing(options = {}){
+        return budgetPacing(this, options);
+    }
+}
+
+/**
+ * Copy fields onto a resource, all of them to resource.data and those not named like a method or the client to the resource itself.
+ */
+function assignFields(resource, fields){
+    Object.assign(resource.data, fields);
+    for (const key of Object.keys(fields || {})){
+        if (!(key in Object.getPrototypeOf(resource)) && key !== 'client' && key !== 'data'){
+            resource[key] = fields[key];
+        }
+    }
+}
+
+function wrapAll(client, Type, list){
+    return (list || []).map((data) => new Type(client, data));
+}
+
+module.exports = {
+    Resource,
+    Advertiser,
+    Campaign,
+    Category,
+    Audience,
+    CRP_Seller,
+    CRP_Seller_Campaign,
+    CRP_Budget
+};
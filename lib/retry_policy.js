@@ -0,0 +1,85 @@
+const { MapiHttpError, MapiNetworkError, MapiTimeoutError } = require('./errors.js');
+
+/**
+ * Decides whether and when a failed request is retried.
+ * @class
+ */
+class Retry_Policy {
+
+    /**
+     * @param {(object|boolean)} [options] - Retry options, or false to disable retries.
+     * @param {integer} [options.maxAttempts=3] - Total attempts per request, including the first one.
+     * @param {integer} [options.baseDelay=500] - Delay in ms before the first retry, doubled on each further retry.
+     * @param {integer} [options.maxDelay=30000] - Upper bound in ms of the computed delay.
+     * @param {number} [options.jitter=0.5] - Fraction of the delay that is randomized, between 0 and 1.
+     * @param {integer[]} [options.statusCodes=[429,500,502,503,504]] - Response status codes that may be retried.
+     * @param {string[]} [options.methods=['GET','HEAD','OPTIONS','PUT','DELETE']] - HTTP methods that may be retried. Add 'POST' or 'PATCH' to opt in for non-idempotent requests.
+     * @param {string[]} [options.networkErrors] - Network error codes that may be retried.
+     * @param {integer} [options.maxRetryAfter=120000] - Requests with a longer Retry-After (ms) are not retried.
+     */
+    constructor(options = {}){
+        if (options === false){
+            options = { 'maxAttempts': 1 };
+        }
+        this.maxAttempts = options.maxAttempts || 3;
+        this.baseDelay = options.baseDelay === undefined ? 500 : options.baseDelay;
+        this.maxDelay = options.maxDelay === undefined ? 30000 : options.maxDelay;
+        this.jitter = options.jitter === undefined ? 0.5 : options.jitter;
+        this.statusCodes = options.statusCodes || [429, 500, 502, 503, 504];
+        this.methods = (options.methods || ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']).map((m) => m.toUpperCase());
+        this.networkErrors = options.networkErrors || ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+        this.maxRetryAfter = options.maxRetryAfter === undefined ? 120000 : options.maxRetryAfter;
+    }
+
+    /**
+     * Get the delay before retrying a failed request.
+     * @param {object} r - The request, with r.method, r.attempt and optional r.idempotent
+     * @param {Error} err - The error of the last attempt
+     * @returns {?integer} Delay in ms, or null if the request must not be retried.
+     */
+    delay(r, err){
+        const attempt = r.attempt || 1;
+        if (attempt >= this.maxAttempts || !this.isRetryable(err) || !this.isIdempotent(r)){
+            return null;
+        }
+        const retryAfter = this.retryAfter(err);
+        if (retryAfter !== null){
+            return retryAfter > this.maxRetryAfter ? null : retryAfter;
+        }
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+        return Math.round(delay * (1 - this.jitter * Math.random()));
+    }
+
+    isRetryable(err){
+        if (err instanceof MapiHttpError){
+            return this.statusCodes.indexOf(err.statusCode) > -1;
+        }
+        if (err instanceof MapiNetworkError){
+            return this.networkErrors.indexOf(err.code) > -1;
+        }
+        return err instanceof MapiTimeoutError;
+    }
+
+    isIdempotent(r){
+        return !!r.idempotent || this.methods.indexOf(r.method.toUpperCase()) > -1;
+    }
+
+    /**
+     * Read the Retry-After header of an error response, in seconds or as an HTTP date.
+     * @param {Error} err
+     * @returns {?integer} Delay in ms, or null if there is no usable header.
+     */
+    retryAfter(err){
+        const value = err.headers && err.headers['retry-after'];
+        if (!value){
+            return null;
+        }
+        if (/^\d+$/.test(value.trim())){
+            return parseInt(value, 10) * 1000;
+        }
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+}
+
+module.exports = Retry_Policy;
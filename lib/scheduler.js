@@ -0,0 +1,171 @@
+/**
+ * Queues requests per endpoint group, limiting concurrency and requests per second.
+ * @class
+ */
+class Request_Scheduler {
+
+    /**
+     * @param {object} [options] - Limits applied to each endpoint group without its own settings.
+     * @param {integer} [options.concurrency] - Maximum requests in flight at once. Unlimited by default.
+     * @param {number} [options.requestsPerSecond] - Sustained request rate (token bucket). Unlimited by default.
+     * @param {integer} [options.burst] - Bucket size, i.e. requests that may start at once after an idle period. Defaults to requestsPerSecond.
+     * @param {object} [options.groups] - Limits by group name ('auth', 'statistics', 'audiences', 'crp' or 'default').
+     */
+    constructor(options = {}){
+        this.defaults = {
+            'concurrency': options.concurrency,
+            'requestsPerSecond': options.requestsPerSecond,
+            'burst': options.burst
+        };
+        this.limits = options.groups || {};
+        this.groups = {};
+    }
+
+    /**
+     * Get the endpoint group of a MAPI path.
+     * @param {string} path - Path relative to the MAPI endpoint
+     * @returns {string}
+     */
+    groupFor(path = ''){
+        if (path === '/oauth2/token'){
+            return 'auth';
+        }else if (/\/stat(istic)?s/.test(path)){
+            return 'statistics';
+        }else if (path.indexOf('/v1/audiences') === 0){
+            return 'audiences';
+        }else if (path.indexOf('/v2/crp') === 0){
+            return 'crp';
+        }
+        return 'default';
+    }
+
+    group(name){
+        if (!this.groups[name]){
+            const limits = this.limits[name] || (name === 'auth' ? {} : this.defaults);
+            const rate = limits.requestsPerSecond || Infinity;
+            const burst = limits.burst || Math.max(1, rate === Infinity ? 1 : rate);
+            this.groups[name] = {
+                'concurrency': limits.concurrency || Infinity,
+                'rate': rate,
+                'burst': burst,
+                'tokens': burst,
+                'refilledAt': Date.now(),
+                'timer': null,
+                'queue': [],
+                'active': 0,
+                'completed': 0,
+                'totalWait': 0,
+                'maxWait': 0
+            };
+        }
+        return this.groups[name];
+    }
+
+    /**
+     * Run a task once its group has capacity.
+     * The task is called with hold(): once called, the task keeps its slot after its Promise settles,
+     * until the release function hold() returns is called, e.g. when a streamed response ends.
+     * @param {string} path - Path relative to the MAPI endpoint, used to pick the group
+     * @param {function} task - Returns a Promise
+     * @returns {Promise}
+     */
+    schedule(path, task){
+        const name = this.groupFor(path);
+        return new Promise( (resolve, reject) => {
+            this.group(name).queue.push({
+                'task': task,
+                'resolve': resolve,
+                'reject': reject,
+                'queuedAt': Date.now()
+            });
+            this.drain(name);
+        });
+    }
+
+    drain(name){
+        const group = this.group(name);
+        while (group.queue.length && group.active < group.concurrency){
+            if (!this.takeToken(group)){
+                if (!group.timer){
+                    const wait = Math.ceil((1 - group.tokens) / group.rate * 1000);
+                    group.timer = setTimeout(() => {
+                        group.timer = null;
+                        this.drain(name);
+                    }, wait);
+                }
+                return;
+            }
+            this.run(name, group.queue.shift());
+        }
+    }
+
+    takeToken(group){
+        if (group.rate === Infinity){
+            return true;
+        }
+        const now = Date.now();
+        group.tokens = Math.min(group.burst, group.tokens + (now - group.refilledAt) / 1000 * group.rate);
+        group.refilledAt = now;
+        if (group.tokens >= 1){
+            group.tokens -= 1;
+            return true;
+        }
+        return false;
+    }
+
+    run(name, item){
+        const group = this.group(name);
+        const wait = Date.now() - item.queuedAt;
+        group.active++;
+        group.totalWait += wait;
+        group.maxWait = Math.max(group.maxWait, wait);
+        let held = false;
+        let finished = false;
+        const done = () => {
+            if (finished){
+                return;
+            }
+            finished = true;
+            group.active--;
+            group.completed++;
+            this.drain(name);
+        };
+        const hold = () => {
+            held = true;
+            return done;
+        };
+        Promise.resolve()
+            .then(() => item.task(hold))
+            .then((res) => {
+                if (!held){
+                    done();
+                }
+                item.resolve(res);
+            }, (err) => {
+                done();
+                item.reject(err);
+            });
+    }
+
+    /**
+     * Get queue statistics by group.
+     * @returns {object} For each group: queued, active, completed, averageWait and maxWait (ms).
+     */
+    stats(){
+        const stats = {};
+        for (const name in this.groups){
+            const group = this.groups[name];
+            const started = group.active + group.completed;
+            stats[name] = {
+                'queued': group.queue.length,
+                'active': group.active,
+                'completed': group.completed,
+                'averageWait': started ? Math.round(group.totalWait / started) : 0,
+                'maxWait': group.maxWait
+            };
+        }
+        return stats;
+    }
+}
+
+module.exports = Request_Scheduler;
@@ -0,0 +1,174 @@
+const moment = require('moment');
+
+const ID = { 'type': 'id' };
+const AMOUNT = { 'type': 'number', 'min': 0 };
+const DATE = { 'type': 'date' };
+const required = (schema) => ({ ...schema, 'required': true });
+const arrayOf = (items, options = {}) => ({ 'type': 'array', 'items': items, ...options });
+const object = (properties, options = {}) => ({ 'type': 'object', 'properties': properties, ...options });
+
+const CRP_BUDGET = {
+    'amount': AMOUNT,
+    'startDate': DATE,
+    'endDate': DATE,
+    'campaignIds': arrayOf({ 'type': 'string' }),
+    'isSuspended': { 'type': 'boolean' }
+};
+
+/**
+ * Payload schemas of the mutating methods, by method name. Each names the root of error paths.
+ * Properties not listed are not checked, so that fields added to the API can still be sent.
+ */
+const SCHEMAS = {
+    'createAudience': { 'name': 'audience', ...object({
+        'advertiserId': required(ID),
+        'name': required({ 'type': 'string' }),
+        'description': { 'type': 'string' }
+    }) },
+    'updateAudience': { 'name': 'audience', ...object({
+        'name': required({ 'type': 'string' }),
+        'description': { 'type': 'string' }
+    }) },
+    'updateAudienceUsers': { 'name': 'options', ...object({
+        'operation': required({ 'type': 'enum', 'values': ['add', 'remove'] }),
+        'schema': required({ 'type': 'enum', 'values': ['email', 'madid', 'identityLink', 'gum'] }),
+        'identifiers': required(arrayOf(required({ 'type': 'string' }), { 'minItems': 1, 'maxItems': 50000 })),
+        'gumCallerId': ID
+    }, {
+        'check': (data) => data.schema === 'gum' && (data.gumCallerId === undefined || data.gumCallerId === null) ?
+            [{ 'path': 'gumCallerId', 'message': 'is required for gum identifiers' }] : []
+    }) },
+    'updateBids': { 'name': 'campaigns', ...arrayOf(object({
+        'campaignId': required(ID),
+        'bidValue': required(AMOUNT),
+        'categories': arrayOf(object({
+            'categoryHashCode': required(ID),
+            'bidValue': required(AMOUNT)
+        }))
+    }), { 'minItems': 1 }) },
+    'updateCategories': { 'name': 'catalogs', ...arrayOf(object({
+        'catalogId': required(ID),
+        'categories': required(arrayOf(object({
+            'categoryHashCode': required(ID),
+            'enabled': required({ 'type': 'boolean' })
+        }), { 'minItems': 1 }))
+    }), { 'minItems': 1 }) },
+    'updateCRPBidByCampaign': { 'name': 'campaign', ...object({
+        'id': required({ 'type': 'string' }),
+        'bid': required(AMOUNT)
+    }) },
+    'updateCRPBidsByCampaigns': { 'name': 'campaigns', ...arrayOf(object({
+        'id': required({ 'type': 'string' }),
+        'bid': required(AMOUNT)
+    }), { 'minItems': 1 }) },
+    'updateCRPBudget': { 'name': 'update', ...object(CRP_BUDGET, { 'check': checkDateOrder }) },
+    'updateCRPBudgets': { 'name': 'budgets', ...arrayOf(object({
+        'budgetId': required(ID),
+        ...CRP_BUDGET
+    }, { 'check': checkDateOrder }), { 'minItems': 1 }) },
+    'createCRPBudgets': { 'name': 'budgets', ...arrayOf(object({
+        ...CRP_BUDGET,
+        'budgetType': { 'type': 'enum', 'values': ['Capped', 'Uncapped', 'Daily'] },
+        'sellerId': ID
+    }, { 'check': checkDateOrder }), { 'minItems': 1 }) },
+    'updateSellerBids': { 'name': 'campaign', ...object({
+        'campaignId': required(ID),
+        'sellerBids': required(arrayOf(object({
+            'sellerName': required({ 'type': 'string' }),
+            'bid': required(AMOUNT)
+        }), { 'minItems': 1 }))
+    }) },
+    'createSellerBudgets': { 'name': 'campaign', ...object({
+        'campaignId': required(ID),
+        'sellerBudgets': required(arrayOf(object({
+            'sellerName': required({ 'type': 'string' }),
+            'amount': required(AMOUNT),
+            'endDate': required(DATE)
+        }), { 'minItems': 1 }))
+    }) },
+    'updateSellerBudgets': { 'name': 'campaign', ...object({
+        'campaignId': required(ID),
+        'sellerBudgets': required(arrayOf(object({
+            'budgetId': required(ID),
+            'amount': { ...AMOUNT, 'nullable': true },
+            'endDate': required(DATE),
+            'status': { 'type': 'enum', 'values': ['Active', 'Inactive'] }
+        }), { 'minItems': 1 }))
+    }) }
+};
+
+function checkDateOrder(data){
+    if (data.startDate && data.endDate && moment.utc(data.endDate).isBefore(moment.utc(data.startDate))){
+        return [{ 'path': 'endDate', 'message': `${data.endDate} is before startDate ${data.startDate}` }];
+    }
+    return [];
+}
+
+/**
+ * Check a value against a schema.
+ * @param {object} schema - Schema from SCHEMAS, or of the same form
+ * @param {*} value
+ * @param {string} [path] - Path of the value, the schema name by default
+ * @returns {object[]} Problems found, as { path, message }, with paths such as campaigns[2].bidValue
+ */
+function validate(schema, value, path = schema.name || 'value'){
+    if (value === undefined || value === null || value === ''){
+        if (schema.required && !(value === null && schema.nullable)){
+            return [{ 'path': path, 'message': `${path} is required` }];
+        }
+        return [];
+    }
+    const fail = (message) => [{ 'path': path, 'message': message }];
+    switch (schema.type){
+    case 'id':
+        return /^\d+$/.test(String(value)) ? [] : fail(`${path} must be a numeric ID, got ${JSON.stringify(value)}`);
+    case 'string':
+        return typeof value === 'string' || typeof value === 'number' ? [] : fail(`${path} must be a string, got ${JSON.stringify(value)}`);
+    case 'boolean':
+        return typeof value === 'boolean' ? [] : fail(`${path} must be true or false, got ${JSON.stringify(value)}`);
+    case 'enum':
+        return schema.values.indexOf(value) > -1 ? [] : fail(`${path} must be one of ${schema.values.join(', ')}, got ${JSON.stringify(value)}`);
+    case 'date':
+        return moment.utc(new Date(value)).isValid() ? [] : fail(`${path} must be a date, got ${JSON.stringify(value)}`);
+    case 'number': {
+        const number = typeof value === 'number' ? value : (/^-?\d+(\.\d+)?$/.test(String(value).trim()) ? Number(value) : NaN);
+        if (!isFinite(number)){
+            return fail(`${path} must be a number, got ${JSON.stringify(value)}`);
+        }
+        return schema.min !== undefined && number < schema.min ? fail(`${path} must not be below ${schema.min}, got ${value}`) : [];
+    }
+    case 'array': {
+        if (!Array.isArray(value)){
+            return fail(`${path} must be an array`);
+        }
+        if (schema.minItems && value.length < schema.minItems){
+            return fail(`${path} must have at least ${schema.minItems} item${schema.minItems > 1 ? 's' : ''}`);
+        }
+        if (schema.maxItems && value.length > schema.maxItems){
+            return fail(`${path} must have at most ${schema.maxItems} items, got ${value.length}`);
+        }
+        return [].concat(...value.map((item, i) => validate({ ...schema.items, 'required': true }, item, `${path}[${i}]`)));
+    }
+    case 'object': {
+        if (typeof value !== 'object' || Array.isArray(value)){
+            return fail(`${path} must be an object`);
+        }
+        const errors = [];
+        for (const key in schema.properties){
+            errors.push(...validate(schema.properties[key], value[key], `${path}.${key}`));
+        }
+        if (schema.check && !errors.length){
+            // Checks across fields, given as { path, message } relative to this object
+            errors.push(...schema.check(value).map((e) => ({ 'path': `${path}.${e.path}`, 'message': `${path}.${e.path} ${e.message}` })));
+        }
+        return errors;
+    }
+    default:
+        return [];
+    }
+}
+
+module.exports = {
+    SCHEMAS,
+    validate
+};
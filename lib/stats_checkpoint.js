@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const moment = require('moment');
+
+const DATE_DIMENSIONS = ['Day', 'Hour'];
+
+/**
+ * Identify a report definition: the same report type, dimensions, metrics and advertisers share a checkpoint,
+ * whatever the order they were given in.
+ * @param {object} query - Statistics query
+ * @returns {string}
+ */
+function definitionKey(query){
+    const list = (value) => [].concat(value || [])
+        .join(',')
+        .split(',')
+        .map((v) => v.trim())
+        .filter((v) => v)
+        .sort();
+    return hash({
+        'reportType': query.reportType || null,
+        'dimensions': list(query.dimensions),
+        'metrics': list(query.metrics),
+        'advertiserIds': list(query.advertiserIds)
+    });
+}
+
+/**
+ * Compare parsed rows with the row hashes of a checkpoint.
+ * Rows are identified by their dimension values and compared on their metric values.
+ * @param {object[]} rows - Parsed report rows
+ * @param {object} query - Statistics query, for its metrics
+ * @param {object} days - Row hashes by day (YYYY-MM-DD) then row key, from the previous run
+ * @returns {object} { added, changed, unchanged, days }, where days holds the hashes of the given rows.
+ */
+function diffRows(rows, query, days = {}){
+    const metrics = (query.metrics || []).map((m) => m.toLowerCase());
+    const result = { 'added': [], 'changed': [], 'unchanged': 0, 'days': {} };
+    for (const row of rows){
+        const dimensions = {};
+        const values = {};
+        for (const column of Object.keys(row).sort()){
+            if (metrics.indexOf(column.toLowerCase()) > -1){
+                values[column] = row[column];
+            }else{
+                dimensions[column] = row[column] instanceof Date ? row[column].toISOString() : row[column];
+            }
+        }
+        const day = rowDay(row);
+        const key = hash(dimensions);
+        const value = hash(values);
+        const previous = days[day] && days[day][key];
+        if (previous === undefined){
+            result.added.push(row);
+        }else if (previous !== value){
+            result.changed.push(row);
+        }else{
+            result.unchanged++;
+        }
+        result.days[day] = result.days[day] || {};
+        result.days[day][key] = value;
+    }
+    return result;
+}
+
+function rowDay(row){
+    const column = DATE_DIMENSIONS.find((d) => row[d] !== undefined);
+    return moment.utc(row[column]).format('YYYY-MM-DD');
+}
+
+function hash(value){
+    return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+}
+
+module.exports = {
+    definitionKey,
+    diffRows
+};
@@ -0,0 +1,273 @@
+const moment = require('moment');
+const { MapiValidationError } = require('./errors.js');
+
+const REPORT_TYPES = ['CampaignPerformance', 'FacebookDPA', 'TransactionID'];
+const FORMATS = ['CSV', 'Excel', 'XML', 'JSON'];
+const TIMEZONES = ['GMT', 'PST', 'JST'];
+const CURRENCIES = [
+    'AED', 'ARS', 'AUD', 'BRL', 'CAD', 'CHF', 'CLP', 'CNY', 'COP', 'CZK', 'DKK', 'EUR', 'GBP', 'HKD', 'HUF', 'IDR',
+    'ILS', 'INR', 'JPY', 'KRW', 'MXN', 'MYR', 'NOK', 'NZD', 'PHP', 'PLN', 'RON', 'RUB', 'SAR', 'SEK', 'SGD', 'THB',
+    'TRY', 'TWD', 'UAH', 'USD', 'VND', 'ZAR'
+];
+const TIME_DIMENSIONS = ['Hour', 'Day', 'Week', 'Month', 'Year'];
+const DIMENSIONS = {
+    'statistics': ['AdvertiserId', 'CampaignId', 'Category', 'Seller', ...TIME_DIMENSIONS],
+    'report': ['AdvertiserId', 'CampaignId', 'Category', 'Seller', ...TIME_DIMENSIONS],
+    'sellers': ['AdvertiserId', 'CampaignId', 'Seller', 'Day', 'Week', 'Month', 'Year']
+};
+const METRICS = {
+    'statistics': [
+        'Clicks', 'Displays', 'ClickThroughRate', 'AdvertiserCost', 'Cpc', 'Cpm', 'ExposedUsers', 'ClickingUsers',
+        'SalesPc30d', 'SalesPv24h', 'SalesClientAttribution', 'RevenueGeneratedPc30d', 'RevenueGeneratedPv24h',
+        'RevenueGeneratedClientAttribution', 'ConversionRatePc30d', 'ConversionRateClientAttribution',
+        'CostOfSalePc30d', 'CostOfSaleClientAttribution', 'CostPerOrderPc30d', 'CostPerOrderClientAttribution',
+        'RoasPc30d', 'RoasClientAttribution'
+    ],
+    'sellers': ['Clicks', 'AdvertiserCost', 'Displays']
+};
+METRICS.report = METRICS.statistics;
+
+/**
+ * Check a statistics query before it is sent: required fields, format, dates, and combinations of time dimensions.
+ * Names are matched case-insensitively. With strict, report types, timezones, currencies, dimensions and metrics
+ * must also be known names, and typos get a suggestion.
+ * @param {object} query - Statistics query
+ * @param {string} [endpoint=statistics] - 'statistics' (getStats), 'report' (getReport) or 'sellers' (getSellerStats)
+ * @param {object} [options]
+ * @param {boolean} [options.strict=false] - Reject names missing from the lists of this module, which may lag behind the API.
+ * @returns {object[]} Problems found, as { path, message }. Empty if the query is valid.
+ */
+function validateStatsQuery(query, endpoint = 'statistics', options = {}){
+    const errors = [];
+    const fail = (path, message) => errors.push({ 'path': path, 'message': message });
+    if (!query || typeof query !== 'object'){
+        fail('query', 'A query object is required');
+        return errors;
+    }
+    if (endpoint === 'statistics' && !query.reportType){
+        fail('reportType', 'reportType is required');
+    }
+    const fields = options.strict ? [['reportType', REPORT_TYPES], ['format', FORMATS], ['timezone', TIMEZONES], ['currency', CURRENCIES]] : [['format', FORMATS]];
+    for (const [field, allowed] of fields){
+        if (query[field] !== undefined && !findValue(allowed, query[field])){
+            fail(field, unknown(field, query[field], allowed));
+        }
+    }
+    if (!query.format){
+        fail('format', `format is required, one of ${FORMATS.join(', ')}`);
+    }
+    for (const [field, allowed] of [['dimensions', DIMENSIONS[endpoint]], ['metrics', METRICS[endpoint]]]){
+        const values = query[field];
+        if (!Array.isArray(values) || !values.length){
+            fail(field, `${field} must be a non-empty array`);
+            continue;
+        }
+        const names = values.map((value) => String(value).toLowerCase());
+        values.forEach((value, i) => {
+            if (options.strict && !findValue(allowed, value)){
+                fail(`${field}[${i}]`, unknown(field.slice(0, -1), value, allowed));
+            }else if (names.indexOf(names[i]) < i){
+                fail(`${field}[${i}]`, `'${value}' is listed twice`);
+            }
+        });
+    }
+    const time = (query.dimensions || []).map((d) => findValue(TIME_DIMENSIONS, d)).filter((d) => d);
+    if (time.filter((d) => d !== 'Hour').length > 1 || (time.indexOf('Hour') > -1 && time.some((d) => d !== 'Hour' && d !== 'Day'))){
+        fail('dimensions', `Time dimensions ${time.join(', ')} cannot be combined; use one of Day, Week, Month or Year, or Hour with Day`);
+    }
+    if (Array.isArray(query.metrics) && Array.isArray(query.dimensions)){
+        const dimensions = query.dimensions.map((d) => String(d).toLowerCase());
+        query.metrics.filter((m) => dimensions.indexOf(String(m).toLowerCase()) > -1)
+            .forEach((m) => fail('metrics', `'${m}' is both a dimension and a metric`));
+    }
+    const start = checkDate(query.startDate, 'startDate', fail);
+    const end = checkDate(query.endDate, 'endDate', fail);
+    if (start && end && start.isAfter(end)){
+        fail('endDate', `endDate ${query.endDate} is before startDate ${query.startDate}`);
+    }
+    return errors;
+}
+
+function checkDate(value, field, fail){
+    if (value === undefined || value === null || value === ''){
+        fail(field, `${field} is required`);
+        return null;
+    }
+    const date = moment.utc(value instanceof Date ? value : new Date(value));
+    if (!date.isValid()){
+        fail(field, `${field} '${value}' is not a valid date`);
+        return null;
+    }
+    return date;
+}
+
+function findValue(allowed, value){
+    return allowed.find((a) => a.toLowerCase() === String(value).toLowerCase());
+}
+
+function unknown(field, value, allowed){
+    const suggestion = allowed
+        .map((a) => [a, distance(a.toLowerCase(), String(value).toLowerCase())])
+        .sort((a, b) => a[1] - b[1])[0];
+    const hint = suggestion && suggestion[1] <= Math.max(2, Math.floor(suggestion[0].length / 4)) ? `, did you mean '${suggestion[0]}'?` : '';
+    return `Unknown ${field} '${value}'${hint}`;
+}
+
+function distance(a, b){
+    let previous = Array.from({ 'length': b.length + 1 }, (v, i) => i);
+    for (let i = 1; i <= a.length; i++){
+        const current = [i];
+        for (let j = 1; j <= b.length; j++){
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Create the error for a list of query problems.
+ * @param {object[]} errors - As returned by validateStatsQuery
+ * @returns {MapiValidationError}
+ */
+function queryError(errors){
+    const summary = errors.slice(0, 3).map((e) => `${e.path}: ${e.message}`).join('; ');
+    const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+    return new MapiValidationError(`Invalid statistics query. ${summary}${more}`, { 'errors': errors });
+}
+
+/**
+ * Fluent builder for statistics queries.
+ * @class
+ * @example
+ * const query = new Stats_Query()
+ *     .reportType('CampaignPerformance')
+ *     .advertisers(12345, 67890)
+ *     .between('2018-09-01', '2018-09-30')
+ *     .dimensions('CampaignId', 'Day')
+ *     .metrics('Clicks', 'AdvertiserCost')
+ *     .format('csv');
+ * criteo.getStats(query);
+ */
+class Stats_Query {
+
+    /**
+     * @param {object} [query] - Query to start from
+     */
+    constructor(query = {}){
+        this.query = { ...query };
+    }
+
+    reportType(type){
+        this.query.reportType = type;
+        return this;
+    }
+
+    /**
+     * @param {...(integer|string)} ids - Advertiser IDs
+     */
+    advertisers(...ids){
+        this.query.advertiserIds = [].concat(...ids).join(',');
+        return this;
+    }
+
+    /**
+     * @param {string} startDate - First day of the report
+     * @param {string} endDate - Last day of the report
+     */
+    between(startDate, endDate){
+        this.query.startDate = startDate;
+        this.query.endDate = endDate;
+        return this;
+    }
+
+    /**
+     * Report on the last days, up to yesterday (UTC).
+     * @param {integer} days
+     */
+    lastDays(days){
+        const yesterday = moment.utc().startOf('day').subtract(1, 'day');
+        return this.between(yesterday.clone().subtract(days - 1, 'days').format('YYYY-MM-DD'), yesterday.format('YYYY-MM-DD'));
+    }
+
+    /**
+     * @param {...string} dimensions - Added to the dimensions already set
+     */
+    dimensions(...dimensions){
+        this.query.dimensions = (this.query.dimensions || []).concat(...dimensions);
+        return this;
+    }
+
+    /**
+     * @param {...string} metrics - Added to the metrics already set
+     */
+    metrics(...metrics){
+        this.query.metrics = (this.query.metrics || []).concat(...metrics);
+        return this;
+    }
+
+    format(format){
+        this.query.format = format;
+        return this;
+    }
+
+    currency(currency){
+        this.query.currency = currency;
+        return this;
+    }
+
+    timezone(timezone){
+        this.query.timezone = timezone;
+        return this;
+    }
+
+    ignoreXDevice(ignore = true){
+        this.query.ignoreXDevice = ignore;
+        return this;
+    }
+
+    /**
+     * @param {string} [endpoint=statistics] - 'statistics', 'report' or 'sellers'
+     * @param {object} [options] - { strict }, see validateStatsQuery
+     * @returns {object[]} Problems found, as { path, message }
+     */
+    validate(endpoint, options){
+        return validateStatsQuery(this.query, endpoint, options);
+    }
+
+    /**
+     * Produce the request body sent by getStats, getReport or getSellerStats.
+     * @param {string} [endpoint=statistics] - 'statistics', 'report' or 'sellers'
+     * @returns {object}
+     * @throws {MapiValidationError}
+     */
+    build(endpoint){
+        const errors = this.validate(endpoint);
+        if (errors.length){
+            throw queryError(errors);
+        }
+        return {
+            ...this.query,
+            'dimensions': [...this.query.dimensions],
+            'metrics': [...this.query.metrics],
+            'startDate': new Date(this.query.startDate).toISOString(),
+            'endDate': new Date(this.query.endDate).toISOString()
+        };
+    }
+
+    toJSON(){
+        return { ...this.query };
+    }
+}
+
+module.exports = {
+    Stats_Query,
+    validateStatsQuery,
+    queryError,
+    REPORT_TYPES,
+    FORMATS,
+    TIMEZONES,
+    CURRENCIES,
+    DIMENSIONS,
+    METRICS
+};
@@ -0,0 +1,79 @@
+/**
+ * Keeps track of the current oauth2 token and its expiry.
+ * @class
+ */
+class Token_Manager {
+
+    /**
+     * @param {function} fetch - Returns a Promise resolving to the token response ({ access_token, expires_in }).
+     * @param {object} [options]
+     * @param {integer} [options.refreshMargin=30000] - Milliseconds before expiry at which the token is refreshed.
+     */
+    constructor(fetch, options = {}){
+        this.fetch = fetch;
+        this.refreshMargin = options.refreshMargin === undefined ? 30000 : options.refreshMargin;
+        this.token = '';
+        this.expiresAt = 0;
+        this.pending = null;
+    }
+
+    /**
+     * Whether a token is stored and is not within the refresh margin of its expiry.
+     * @returns {boolean}
+     */
+    isValid(){
+        return !!this.token && Date.now() < this.expiresAt - this.refreshMargin;
+    }
+
+    /**
+     * Resolve with a valid token, refreshing it first if needed.
+     * @returns {Promise<string>}
+     */
+    getToken(){
+        return this.isValid() ? Promise.resolve(this.token) : this.refresh();
+    }
+
+    /**
+     * Request a new token. Concurrent callers share the same in-flight request.
+     * @returns {Promise<string>}
+     */
+    refresh(){
+        if (!this.pending){
+            this.pending = Promise.resolve()
+                .then(() => this.fetch())
+                .then((response) => {
+                    this.set(response.access_token, response.expires_in);
+                    this.pending = null;
+                    return this.token;
+                })
+                .catch((err) => {
+                    this.pending = null;
+                    return Promise.reject(err);
+                });
+        }
+        return this.pending;
+    }
+
+    /**
+     * Store a token.
+     * @param {string} token
+     * @param {integer} [expiresIn] - Lifetime of the token in seconds. Tokens without a lifetime never expire locally.
+     */
+    set(token, expiresIn){
+        this.token = token;
+        this.expiresAt = expiresIn ? Date.now() + expiresIn * 1000 : Infinity;
+    }
+
+    /**
+     * Mark a token as expired, e.g. after the API rejected it.
+     * Ignored if the stored token has already been replaced.
+     * @param {string} [token] - The token that was rejected.
+     */
+    invalidate(token){
+        if (token === undefined || token === this.token){
+            this.expiresAt = 0;
+        }
+    }
+}
+
+module.exports = Token_Manager;
@@ -0,0 +1,77 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const { MapiHttpError, MapiValidationError } = require('../lib/errors.js');
+const { useMockServer, requestsTo } = require('./support.js');
+
+describe('Runs across advertisers', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+
+    it('merges the items of every advertiser, tagged with their advertiserId', () => {
+        return mock.client().forEachAdvertiser('getCampaignsByAdvertiser')
+            .then(({ results, items, errors }) => {
+                assert.deepStrictEqual(results.map((r) => [r.advertiserId, r.advertiserName, r.result.length]), [[100, 'Example Shoes', 2], [200, 'Example Books', 1]]);
+                assert.deepStrictEqual(items.map((c) => [c.advertiserId, c.campaignId]), [[100, 1001], [100, 1002], [200, 2001]]);
+                assert.deepStrictEqual(errors, []);
+            });
+    });
+
+    it('tags values that are not objects', () => {
+        return mock.client().forEachAdvertiser((client, id) => Promise.resolve([`${id}-a`, `${id}-b`]), { 'concurrency': 1 })
+            .then(({ items }) => assert.deepStrictEqual(items, [
+                { 'advertiserId': 100, 'value': '100-a' },
+                { 'advertiserId': 100, 'value': '100-b' },
+                { 'advertiserId': 200, 'value': '200-a' },
+                { 'advertiserId': 200, 'value': '200-b' }
+            ]));
+    });
+
+    it('collects errors per advertiser and keeps the results of the others', () => {
+        mock.server.injectFault({ 'status': 400, 'path': '/v1/advertisers/200/' });
+        return mock.client().forEachAdvertiser('getCampaignsByAdvertiser')
+            .then(({ results, items, errors }) => {
+                assert.deepStrictEqual(results.map((r) => r.advertiserId), [100]);
+                assert.deepStrictEqual(items.map((c) => c.campaignId), [1001, 1002]);
+                assert.deepStrictEqual(errors.map((e) => [e.advertiserId, e.advertiserName]), [[200, 'Example Books']]);
+                assert.ok(errors[0].error instanceof MapiHttpError);
+                assert.strictEqual(errors[0].error.statusCode, 400);
+            });
+    });
+
+    it('collects errors thrown by a function', () => {
+        const call = (client, id) => {
+            if (id === 100){
+                throw new Error('no access');
+            }
+            return client.getCampaignsByAdvertiser(id);
+        };
+        return mock.client().forEachAdvertiser(call)
+            .then(({ results, errors }) => {
+                assert.deepStrictEqual(results.map((r) => r.advertiserId), [200]);
+                assert.deepStrictEqual(errors.map((e) => [e.advertiserId, e.error.message]), [[100, 'no access']]);
+            });
+    });
+
+    it('filters advertisers by ID or with a function', () => {
+        const client = mock.client();
+        return client.forEachAdvertiser('getCampaignsByAdvertiser', { 'filter': ['200'] })
+            .then(({ results }) => {
+                assert.deepStrictEqual(results.map((r) => r.advertiserId), [200]);
+                return client.forEachAdvertiser('getCampaignsByAdvertiser', { 'filter': (a) => /Shoes/.test(a.advertiserName) });
+            })
+            .then(({ results }) => {
+                assert.deepStrictEqual(results.map((r) => r.advertiserId), [100]);
+                assert.strictEqual(requestsTo(mock.server, 'GET', '/v1/advertisers/100/campaigns').length, 1);
+                assert.strictEqual(requestsTo(mock.server, 'GET', '/v1/advertisers/200/campaigns').length, 1);
+            });
+    });
+
+    it('passes args after the advertiser ID', () => {
+        return mock.client().forEachAdvertiser('getCategoriesByAdvertiser', { 'args': [true], 'filter': [100] })
+            .then(() => assert.strictEqual(requestsTo(mock.server, 'GET', '/v1/advertisers/100/categories')[0].query.enabledOnly, 'true'));
+    });
+
+    it('rejects methods the client does not have without a request', () => {
+        return assert.rejects(mock.client().forEachAdvertiser('getNothing'), MapiValidationError)
+            .then(() => assert.deepStrictEqual(mock.server.requests, []));
+    });
+});
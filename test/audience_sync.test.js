@@ -0,0 +1,86 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MapiValidationError } = require('../lib/errors.js');
+const { useMockServer, requestsTo } = require('./support.js');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('Audience sync', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+    const audience = () => mock.server.state.audiences[0];
+    const members = () => Object.keys(audience().members).sort();
+    const emails = (...values) => values.map((value) => `email:${sha256(value)}`).sort();
+    let dir;
+    let stateFile;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'criteo-sync-'));
+        stateFile = path.join(dir, 'audience.json');
+    });
+
+    afterEach(() => fs.rmSync(dir, { 'recursive': true, 'force': true }));
+
+    it('adds and removes the difference with the last sync', () => {
+        const client = mock.client();
+        const options = () => ({ 'stateFile': stateFile, 'schema': 'email' });
+        return client.syncAudience(audience().id, ['a@b.co', 'c@d.co', 'nope'], options())
+            .then((first) => {
+                assert.deepStrictEqual([first.added.total, first.removed.total, first.unchanged, first.saved], [2, 0, 0, true]);
+                assert.deepStrictEqual(first.rejected, [{ 'index': 2, 'value': 'nope', 'reason': 'invalid email address' }]);
+                assert.deepStrictEqual(members(), emails('a@b.co', 'c@d.co'));
+                return client.syncAudience(audience().id, ['C@D.co', 'e@f.co'], options());
+            })
+            .then((second) => {
+                assert.deepStrictEqual([second.added.total, second.removed.total, second.unchanged, second.saved], [1, 1, 1, true]);
+                assert.deepStrictEqual(members(), emails('c@d.co', 'e@f.co'));
+                const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+                assert.deepStrictEqual([state.audienceId, state.schema, state.members.sort()], [audience().id, 'email', [sha256('c@d.co'), sha256('e@f.co')].sort()]);
+                return client.syncAudience(audience().id, ['c@d.co', 'e@f.co'], options());
+            })
+            .then((third) => {
+                assert.deepStrictEqual([third.added.total, third.removed.total, third.unchanged], [0, 0, 2]);
+                assert.strictEqual(requestsTo(mock.server, 'PATCH', `/v1/audiences/userlist/${audience().id}`).length, 3);
+            });
+    });
+
+    it('wipes the audience and adds everyone with reset', () => {
+        const client = mock.client();
+        audience().members['email:someone-else'] = true;
+        return client.syncAudience(audience().id, ['a@b.co'], { 'stateFile': stateFile, 'schema': 'email' })
+            .then(() => client.syncAudience(audience().id, ['a@b.co', 'c@d.co'], { 'stateFile': stateFile, 'schema': 'email', 'reset': true }))
+            .then((result) => {
+                assert.strictEqual(requestsTo(mock.server, 'DELETE', `/v1/audiences/userlist/${audience().id}/users`).length, 1);
+                assert.deepStrictEqual([result.added.total, result.removed.total, result.saved], [2, 0, true]);
+                assert.deepStrictEqual(members(), emails('a@b.co', 'c@d.co'));
+            });
+    });
+
+    it('does not save the state when a batch fails', () => {
+        mock.server.injectFault({ 'status': 400, 'method': 'PATCH' });
+        return mock.client().syncAudience(audience().id, ['a@b.co'], { 'stateFile': stateFile, 'schema': 'email' })
+            .then((result) => {
+                assert.ok(result.added.batches[0].error);
+                assert.strictEqual(result.saved, false);
+                assert.ok(!fs.existsSync(stateFile));
+            });
+    });
+
+    it('rejects a state file of another audience or schema', () => {
+        const client = mock.client();
+        fs.writeFileSync(stateFile, JSON.stringify({ 'audienceId': 999, 'schema': 'email', 'members': [] }));
+        return assert.rejects(client.syncAudience(audience().id, ['a@b.co'], { 'stateFile': stateFile, 'schema': 'email' }), MapiValidationError)
+            .then(() => {
+                fs.writeFileSync(stateFile, JSON.stringify({ 'audienceId': audience().id, 'schema': 'madid', 'members': [] }));
+                return assert.rejects(client.syncAudience(audience().id, ['a@b.co'], { 'stateFile': stateFile, 'schema': 'email' }), /belongs to audience/);
+            })
+            .then(() => assert.deepStrictEqual(mock.server.requests, []));
+    });
+
+    it('requires a state file and a schema', () => {
+        return assert.rejects(mock.client().syncAudience(audience().id, ['a@b.co'], { 'schema': 'email' }), MapiValidationError);
+    });
+});
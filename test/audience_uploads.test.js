@@ -0,0 +1,98 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const { Readable } = require('stream');
+const { MapiHttpError } = require('../lib/errors.js');
+const { useMockServer, requestsTo } = require('./support.js');
+
+describe('Bulk audience uploads', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+    const audience = () => mock.server.state.audiences[0];
+    const uploads = () => requestsTo(mock.server, 'PATCH', `/v1/audiences/userlist/${audience().id}`);
+    const members = () => Object.keys(audience().members).sort();
+
+    it('uploads batches of at most batchSize ids and reports each of them', () => {
+        const batches = [];
+        return mock.client().bulkAddToAudience(audience().id, {
+            'schema': 'madid',
+            'identifiers': ['a', 'b', 'c', 'd', 'e'],
+            'batchSize': 2,
+            'concurrency': 1,
+            'onBatch': (report) => batches.push(report.batch)
+        })
+        .then((report) => {
+            assert.deepStrictEqual(uploads().map((r) => r.body.identifiers), [['a', 'b'], ['c', 'd'], ['e']]);
+            assert.deepStrictEqual(report.batches.map((b) => [b.batch, b.size, b.accepted, b.failed]), [[0, 2, 2, 0], [1, 2, 2, 0], [2, 1, 1, 0]]);
+            assert.strictEqual(report.batches[0].response.operation, 'add');
+            assert.deepStrictEqual([report.total, report.accepted, report.failed, report.rejected], [5, 5, 0, 0]);
+            assert.deepStrictEqual(batches, [0, 1, 2]);
+            assert.deepStrictEqual(members(), ['madid:a', 'madid:b', 'madid:c', 'madid:d', 'madid:e']);
+        });
+    });
+
+    it('reads ids from a stream or an async iterable', () => {
+        async function* ids(){
+            yield 'c';
+            yield 'd';
+        }
+        const client = mock.client();
+        return client.bulkAddToAudience(audience().id, { 'schema': 'madid', 'identifiers': Readable.from(['a\nb', '\n\n']), 'batchSize': 1, 'concurrency': 1 })
+            .then((report) => {
+                assert.strictEqual(report.total, 2);
+                return client.bulkAddToAudience(audience().id, { 'schema': 'madid', 'identifiers': ids() });
+            })
+            .then((report) => {
+                assert.strictEqual(report.batches.length, 1);
+                assert.deepStrictEqual(members(), ['madid:a', 'madid:b', 'madid:c', 'madid:d']);
+            });
+    });
+
+    it('counts the ids the API reports as invalid as failed', () => {
+        mock.server.injectFault({ 'status': 200, 'method': 'PATCH', 'body': { 'operation': 'add', 'nbValidIdentifiers': 1, 'nbInvalidIdentifiers': 1 } });
+        return mock.client().bulkAddToAudience(audience().id, { 'schema': 'madid', 'identifiers': ['a', 'b'] })
+            .then((report) => {
+                assert.deepStrictEqual([report.batches[0].accepted, report.batches[0].failed], [1, 1]);
+                assert.deepStrictEqual([report.accepted, report.failed], [1, 1]);
+            });
+    });
+
+    it('retries failed batches', () => {
+        mock.server.injectFault({ 'status': 503, 'method': 'PATCH', 'times': 2 });
+        return mock.client().bulkAddToAudience(audience().id, { 'schema': 'madid', 'identifiers': ['a', 'b', 'c'], 'batchSize': 2, 'concurrency': 1 })
+            .then((report) => {
+                assert.deepStrictEqual([report.accepted, report.failed], [3, 0]);
+                assert.strictEqual(uploads().length, 4);
+                assert.ok(report.batches.every((b) => !b.error));
+            });
+    });
+
+    it('reports batches that still fail and uploads the others', () => {
+        mock.server.injectFault({ 'status': 400, 'method': 'PATCH' });
+        return mock.client().bulkAddToAudience(audience().id, { 'schema': 'madid', 'identifiers': ['a', 'b', 'c'], 'batchSize': 2, 'concurrency': 1 })
+            .then((report) => {
+                assert.ok(report.batches[0].error instanceof MapiHttpError);
+                assert.deepStrictEqual([report.batches[0].accepted, report.batches[0].failed], [0, 2]);
+                assert.deepStrictEqual([report.accepted, report.failed], [1, 2]);
+                assert.deepStrictEqual(members(), ['madid:c']);
+            });
+    });
+
+    it('removes users in batches', () => {
+        const client = mock.client();
+        return client.bulkAddToAudience(audience().id, { 'schema': 'madid', 'identifiers': ['a', 'b', 'c'] })
+            .then(() => client.bulkRemoveFromAudience(audience().id, { 'schema': 'madid', 'identifiers': ['a', 'c'], 'batchSize': 1 }))
+            .then((report) => {
+                assert.deepStrictEqual(report.batches.map((b) => b.response.operation), ['remove', 'remove']);
+                assert.deepStrictEqual(members(), ['madid:b']);
+            });
+    });
+
+    it('passes the report to callbacks', () => {
+        return new Promise((resolve) => {
+            mock.client().bulkAddToAudience(audience().id, { 'schema': 'madid', 'identifiers': ['a'] }, (err, report) => {
+                assert.strictEqual(err, null);
+                assert.strictEqual(report.accepted, 1);
+                resolve();
+            });
+        });
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const Criteo_MAPI_Client = require('../lib/mapi.js');
+const Token_Manager = require('../lib/token_manager.js');
+const { MapiAuthError } = require('../lib/errors.js');
+const { useMockServer, requestsTo } = require('./support.js');
+
+describe('Token_Manager', () => {
+
+    it('shares one refresh between concurrent callers', () => {
+        let fetches = 0;
+        const auth = new Token_Manager(() => {
+            fetches++;
+            return Promise.resolve({ 'access_token': `token-${fetches}`, 'expires_in': 300 });
+        });
+        return Promise.all([auth.getToken(), auth.getToken(), auth.getToken()])
+            .then((tokens) => {
+                assert.deepStrictEqual(tokens, ['token-1', 'token-1', 'token-1']);
+                assert.strictEqual(fetches, 1);
+                return auth.getToken();
+            })
+            .then((token) => {
+                assert.strictEqual(token, 'token-1');
+                assert.strictEqual(fetches, 1);
+            });
+    });
+
+    it('refreshes tokens within the refresh margin of their expiry', () => {
+        let fetches = 0;
+        const auth = new Token_Manager(() => {
+            fetches++;
+            return Promise.resolve({ 'access_token': `token-${fetches}`, 'expires_in': 20 });
+        }, { 'refreshMargin': 30000 });
+        return auth.getToken()
+            .then(() => auth.getToken())
+            .then((token) => {
+                assert.strictEqual(token, 'token-2');
+                assert.strictEqual(fetches, 2);
+            });
+    });
+
+    it('lets the next caller retry after a failed refresh', () => {
+        let fetches = 0;
+        const auth = new Token_Manager(() => {
+            fetches++;
+            return fetches === 1 ? Promise.reject(new Error('down')) : Promise.resolve({ 'access_token': 'token', 'expires_in': 300 });
+        });
+        return assert.rejects(auth.getToken(), /down/)
+            .then(() => auth.getToken())
+            .then((token) => assert.strictEqual(token, 'token'));
+    });
+});
+
+describe('Authentication', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+
+    it('requests a single token for concurrent requests', () => {
+        const client = mock.client();
+        return Promise.all([client.getPortfolio(), client.getCampaigns(), client.getBudgets()])
+            .then(() => {
+                assert.strictEqual(requestsTo(mock.server, 'POST', '/oauth2/token').length, 1);
+                assert.strictEqual(mock.server.requests.length, 4);
+            });
+    });
+
+    it('gets a new token and retries once when a token is rejected', () => {
+        const client = mock.client();
+        return client.getPortfolio()
+            .then(() => {
+                mock.server.expireTokens();
+                return Promise.all([client.getPortfolio(), client.getCampaigns()]);
+            })
+            .then(([portfolio]) => {
+                assert.ok(Array.isArray(portfolio));
+                assert.strictEqual(requestsTo(mock.server, 'POST', '/oauth2/token').length, 2);
+                assert.strictEqual(requestsTo(mock.server, 'GET', '/v1/portfolio').length, 3);
+            });
+    });
+
+    it('fails with MapiAuthError when a new token is rejected too', () => {
+        const client = mock.client();
+        mock.server.injectFault({ 'status': 401, 'path': '/v1/portfolio', 'times': 2 });
+        return assert.rejects(client.getPortfolio(), (err) => {
+            assert.ok(err instanceof MapiAuthError);
+            assert.strictEqual(err.statusCode, 401);
+            return true;
+        })
+        .then(() => assert.strictEqual(requestsTo(mock.server, 'GET', '/v1/portfolio').length, 2));
+    });
+
+    it('fails with MapiAuthError for invalid credentials', () => {
+        const client = new Criteo_MAPI_Client('id', 'wrong', 'localhost', '/marketing', { 'protocol': 'http:', 'port': mock.port });
+        return assert.rejects(client.getPortfolio(), MapiAuthError)
+            .then(() => assert.strictEqual(requestsTo(mock.server, 'GET', '/v1/portfolio').length, 0));
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const { MapiValidationError } = require('../lib/errors.js');
+const { parseBidChange } = require('../lib/bids.js');
+const { useMockServer, requestsTo } = require('./support.js');
+
+describe('Bid changes', () => {
+
+    it('parses percentages, amounts, bids and functions', () => {
+        assert.strictEqual(parseBidChange('+10%')(0.5), 0.55);
+        assert.strictEqual(parseBidChange('-50%')(0.5), 0.25);
+        assert.strictEqual(parseBidChange('+0.05')(0.5), 0.55);
+        assert.strictEqual(parseBidChange('=0.3')(0.5), 0.3);
+        assert.strictEqual(parseBidChange(0.3)(0.5), 0.3);
+        assert.strictEqual(parseBidChange((bid) => bid * 2)(0.5), 1);
+        assert.strictEqual(parseBidChange('10%'), null);
+        assert.strictEqual(parseBidChange('lots'), null);
+    });
+});
+
+describe('Bid adjustments', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+    const campaign = (id) => mock.server.state.campaigns.find((c) => c.campaignId === id);
+    const updates = () => requestsTo(mock.server, 'PUT', '/v1/campaigns/bids');
+
+    it('caps new bids to min and max', () => {
+        return mock.client().adjustBids({ 'filter': { 'advertiserIds': '100' }, 'change': '+50%', 'min': 0.2, 'max': 0.7 })
+            .then((result) => {
+                assert.strictEqual(result.applied, true);
+                assert.deepStrictEqual(result.changes.map((c) => [c.campaignId, c.categoryHashCode, c.before, c.after, c.capped]), [
+                    [1001, null, 0.5, 0.7, 'max'],
+                    [1001, 9001, 0.6, 0.7, 'max'],
+                    [1002, null, 0.1, 0.2, 'min']
+                ]);
+                assert.deepStrictEqual([campaign(1001).bidValue, campaign(1001).categoryBids[0].bidValue, campaign(1002).bidValue], [0.7, 0.7, 0.2]);
+                assert.strictEqual(campaign(2001).bidValue, 0.35);
+            });
+    });
+
+    it('applies category overrides instead of the change', () => {
+        const filter = { 'advertiserIds': '100', 'campaignStatus': 'Running' };
+        return mock.client().adjustBids({ 'filter': filter, 'change': '-0.1', 'categories': { '9001': '=0.8' } })
+            .then((result) => {
+                assert.deepStrictEqual(updates()[0].body, [{ 'campaignId': 1001, 'bidValue': 0.4, 'categories': [{ 'categoryHashCode': 9001, 'bidValue': 0.8 }] }]);
+                assert.deepStrictEqual(result.payload, updates()[0].body);
+                assert.deepStrictEqual([campaign(1001).bidValue, campaign(1001).categoryBids[0].bidValue], [0.4, 0.8]);
+            });
+    });
+
+    it('does not update bids when confirm returns false', () => {
+        let confirmed;
+        const confirm = (changes) => {
+            confirmed = changes;
+            return Promise.resolve(false);
+        };
+        return mock.client().adjustBids({ 'filter': { 'advertiserIds': '200' }, 'change': '=0.4', 'confirm': confirm })
+            .then((result) => {
+                assert.deepStrictEqual(confirmed, result.changes);
+                assert.deepStrictEqual([result.changes.length, result.applied, result.response], [1, false, null]);
+                assert.deepStrictEqual(updates(), []);
+                assert.strictEqual(campaign(2001).bidValue, 0.35);
+            });
+    });
+
+    it('rejects changes it does not understand without a request', () => {
+        return assert.rejects(mock.client().adjustBids({ 'change': '10%', 'categories': { '9001': 'up' }, 'min': 1, 'max': 0.5 }), (err) => {
+            assert.ok(err instanceof MapiValidationError);
+            assert.deepStrictEqual(err.errors.map((e) => e.path), ['change', 'categories.9001', 'min']);
+            return true;
+        })
+        .then(() => assert.deepStrictEqual(mock.server.requests, []));
+    });
+});
@@ -0,0 +1,103 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Criteo_MAPI_Client = require('../lib/mapi.js');
+const { MapiReplayError } = require('../lib/errors.js');
+const { useMockServer, STATS_QUERY } = require('./support.js');
+
+const SECRET = 'cassette-test-secret';
+
+describe('Cassettes', () => {
+    const mock = useMockServer({ before, after, beforeEach }, { 'clientSecret': SECRET });
+    let dir;
+    let filepath;
+
+    const client = (mode) => new Criteo_MAPI_Client('id', SECRET, 'localhost', '/marketing', {
+        'protocol': 'http:',
+        'port': mock.port,
+        'cassette': { 'filepath': filepath, 'mode': mode }
+    });
+
+    /**
+     * Run calls live while recording, then again from the recording, with the server's request log cleared in between.
+     */
+    const roundTrip = (calls) => {
+        let recorded;
+        return calls(client('record'))
+            .then((results) => {
+                recorded = results;
+                mock.server.reset();
+                return calls(client('replay'));
+            })
+            .then((replayed) => {
+                assert.deepStrictEqual(mock.server.requests, []);
+                return { 'recorded': recorded, 'replayed': replayed };
+            });
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'criteo-cassette-'));
+        filepath = path.join(dir, 'cassette.json');
+    });
+
+    afterEach(() => fs.rmSync(dir, { 'recursive': true, 'force': true }));
+
+    it('replays empty bodies as they were received', () => {
+        const audience = mock.server.state.audiences[0].id;
+        return roundTrip((criteo) => criteo.deleteAudience(audience))
+            .then(({ recorded, replayed }) => {
+                assert.strictEqual(recorded, true);
+                assert.strictEqual(replayed, true);
+                const entries = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+                assert.strictEqual(entries.find((e) => e.request.method === 'DELETE').response.body, '');
+            });
+    });
+
+    it('replays JSON bodies', () => {
+        return roundTrip((criteo) => criteo.getCampaigns({ 'advertiserIds': '100' }))
+            .then(({ recorded, replayed }) => {
+                assert.ok(recorded.length > 0);
+                assert.deepStrictEqual(replayed, recorded);
+            });
+    });
+
+    it('replays binary bodies', () => {
+        return roundTrip((criteo) => criteo.getStats({ ...STATS_QUERY, 'format': 'Excel' }))
+            .then(({ recorded, replayed }) => {
+                assert.ok(Buffer.isBuffer(replayed));
+                assert.ok(replayed.equals(recorded));
+                const entries = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+                assert.strictEqual(typeof entries.find((e) => e.request.path === '/marketing/v1/statistics').response.bodyBase64, 'string');
+            });
+    });
+
+    it('redacts secrets and tokens in the file', () => {
+        return client('record').getPortfolio()
+            .then(() => {
+                const text = fs.readFileSync(filepath, 'utf8');
+                const token = Object.keys(mock.server.tokens)[0];
+                const entries = JSON.parse(text);
+                assert.ok(text.indexOf(SECRET) < 0);
+                assert.ok(text.indexOf(token) < 0);
+                assert.match(entries[0].request.body, /client_secret=%5BREDACTED%5D/);
+                assert.strictEqual(JSON.parse(entries[0].response.body).access_token, '[REDACTED]');
+                assert.strictEqual(entries[1].request.headers['Authorization'], '[REDACTED]');
+            });
+    });
+
+    it('rejects requests without a recording with MapiReplayError', () => {
+        return client('record').getPortfolio()
+            .then(() => {
+                mock.server.reset();
+                return assert.rejects(client('replay').getCampaign(1001), (err) => {
+                    assert.ok(err instanceof MapiReplayError);
+                    assert.strictEqual(err.method, 'GET');
+                    assert.strictEqual(err.path, '/marketing/v1/campaigns/1001');
+                    return true;
+                });
+            })
+            .then(() => assert.deepStrictEqual(mock.server.requests, []));
+    });
+});
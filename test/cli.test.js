@@ -0,0 +1,230 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { run, parseArgs, EXIT } = require('../lib/cli.js');
+const { parseCSVObjects } = require('../lib/csv.js');
+const { useMockServer, requestsTo } = require('./support.js');
+
+describe('Command line arguments', () => {
+
+    it('splits positional arguments and flags', () => {
+        assert.deepStrictEqual(parseArgs(['campaigns', 'list', '--advertiser', '100', '--status=Running', '-o', 'csv']), {
+            'positional': ['campaigns', 'list'],
+            'flags': { 'advertiser': '100', 'status': 'Running', 'o': 'csv' }
+        });
+    });
+
+    it('takes negative numbers as values', () => {
+        assert.deepStrictEqual(parseArgs(['bids', 'adjust', '--change', '-0.05', '--min', '-1']).flags, { 'change': '-0.05', 'min': '-1' });
+        assert.deepStrictEqual(parseArgs(['bids', 'adjust', '--change=-10%']).flags, { 'change': '-10%' });
+    });
+
+    it('never gives a value to boolean flags', () => {
+        assert.deepStrictEqual(parseArgs(['--dry-run', 'audience', 'wipe', '--yes', '42', '--verbose', '--output', 'table']), {
+            'positional': ['audience', 'wipe', '42'],
+            'flags': { 'dry-run': true, 'yes': true, 'verbose': true, 'output': 'table' }
+        });
+        assert.deepStrictEqual(parseArgs(['--profile', '--help']).flags, { 'profile': true, 'help': true });
+    });
+
+    it('keeps a lone dash as a positional argument', () => {
+        assert.deepStrictEqual(parseArgs(['audience', 'add', '42', '--file', '-']).flags, { 'file': '-' });
+        assert.deepStrictEqual(parseArgs(['-']).positional, ['-']);
+    });
+});
+
+describe('Command line interface', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+    let dir;
+    let configFile;
+
+    /**
+     * Run the CLI with captured output, and an environment reading the test config file only.
+     */
+    const cli = (argv, env = {}, stdin) => {
+        const io = {
+            'stdout': { 'text': '', write(chunk){ this.text += chunk; } },
+            'stderr': { 'text': '', write(chunk){ this.text += chunk; } },
+            'stdin': stdin,
+            'env': { 'CRITEO_MAPI_CONFIG': configFile, ...env }
+        };
+        return run(argv, io).then((code) => ({ 'code': code, 'stdout': io.stdout.text, 'stderr': io.stderr.text }));
+    };
+
+    const writeConfig = (profiles) => fs.writeFileSync(configFile, JSON.stringify(profiles));
+
+    const server = () => ({ 'host': 'localhost', 'endpoint': '/marketing', 'protocol': 'http:', 'port': mock.port });
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'criteo-cli-'));
+        configFile = path.join(dir, 'config.json');
+        writeConfig({
+            'default': { 'clientId': 'id', 'clientSecret': 'secret', ...server() },
+            'local': server(),
+            'wrong': { 'clientId': 'id', 'clientSecret': 'not-the-secret', ...server() }
+        });
+    });
+
+    afterEach(() => fs.rmSync(dir, { 'recursive': true, 'force': true }));
+
+    describe('output', () => {
+        const argv = ['campaigns', 'list', '--advertiser', '100'];
+
+        it('prints JSON by default', () => {
+            return cli(argv).then(({ code, stdout }) => {
+                assert.strictEqual(code, EXIT.ok);
+                assert.deepStrictEqual(JSON.parse(stdout).map((c) => c.campaignId), [1001, 1002]);
+                assert.match(stdout, /^\[\n {2}\{/);
+            });
+        });
+
+        it('prints one JSON row per line with ndjson', () => {
+            return cli([...argv, '--output', 'ndjson']).then(({ stdout }) => {
+                const lines = stdout.trim().split('\n');
+                assert.deepStrictEqual(lines.map((line) => JSON.parse(line).campaignId), [1001, 1002]);
+            });
+        });
+
+        it('prints CSV with nested values as JSON', () => {
+            return cli([...argv, '-o', 'csv']).then(({ stdout }) => {
+                const rows = parseCSVObjects(stdout);
+                assert.deepStrictEqual(rows.map((r) => r.campaignId), ['1001', '1002']);
+                assert.deepStrictEqual(JSON.parse(rows[0].categoryBids), [{ 'categoryHashCode': 9001, 'bidValue': 0.6 }]);
+            });
+        });
+
+        it('prints an aligned table', () => {
+            return cli([...argv, '--output=table']).then(({ stdout }) => {
+                const lines = stdout.trimEnd().split('\n');
+                assert.strictEqual(lines.length, 4);
+                assert.match(lines[0], /^campaignId {2}campaignName/);
+                assert.match(lines[1], /^-{10} {2}-+/);
+                assert.match(lines[2], /^ {6}1001 {2}Shoes - Prospecting/);
+            });
+        });
+    });
+
+    describe('requests', () => {
+
+        it('sends only the flags that are set', () => {
+            return cli(['campaigns', 'list', '--status', 'Running'])
+                .then(() => cli(['categories', 'list', '--advertiser', '100']))
+                .then(() => cli(['crp', 'campaigns', '--seller', '11']))
+                .then(() => {
+                    assert.deepStrictEqual({ ...requestsTo(mock.server, 'GET', '/v1/campaigns/')[0].query }, { 'campaignStatus': 'Running' });
+                    const categories = requestsTo(mock.server, 'GET', '/v1/categories')[0].query;
+                    assert.deepStrictEqual([categories.advertiserIds, categories.enabledOnly], ['100', 'false']);
+                    assert.strictEqual(requestsTo(mock.server, 'GET', '/v2/crp/seller-campaigns')[0].query.sellerId, '11');
+                });
+        });
+
+        it('reads identifiers from stdin', () => {
+            const audience = mock.server.state.audiences[0];
+            return cli(['audience', 'add', String(audience.id), '--schema', 'madid', '--file', '-'], {}, Readable.from(['a\nb\n']))
+                .then(({ code, stdout }) => {
+                    assert.strictEqual(code, EXIT.ok);
+                    assert.deepStrictEqual(JSON.parse(stdout), { 'total': 2, 'accepted': 2, 'failed': 0, 'rejected': 0 });
+                    assert.deepStrictEqual(Object.keys(audience.members).sort(), ['madid:a', 'madid:b']);
+                });
+        });
+    });
+
+    describe('credentials', () => {
+        const tokenRequests = () => requestsTo(mock.server, 'POST', '/oauth2/token');
+
+        it('reads them from the default profile', () => {
+            return cli(['portfolio']).then(({ code }) => {
+                assert.strictEqual(code, EXIT.ok);
+                assert.strictEqual(tokenRequests()[0].body.client_id, 'id');
+            });
+        });
+
+        it('reads them from the environment, with a profile for the rest of the settings', () => {
+            return cli(['portfolio'], { 'CRITEO_CLIENT_ID': 'id', 'CRITEO_CLIENT_SECRET': 'secret', 'CRITEO_PROFILE': 'local' })
+                .then(({ code }) => {
+                    assert.strictEqual(code, EXIT.ok);
+                    assert.deepStrictEqual([tokenRequests()[0].body.client_id, tokenRequests()[0].body.client_secret], ['id', 'secret']);
+                });
+        });
+
+        it('prefers the credentials of a profile to the environment', () => {
+            return cli(['portfolio', '--profile', 'default'], { 'CRITEO_CLIENT_ID': 'other', 'CRITEO_CLIENT_SECRET': 'other' })
+                .then(({ code }) => {
+                    assert.strictEqual(code, EXIT.ok);
+                    assert.strictEqual(tokenRequests()[0].body.client_id, 'id');
+                });
+        });
+
+        it('exits with the auth code without credentials', () => {
+            fs.rmSync(configFile);
+            return cli(['portfolio']).then(({ code, stderr }) => {
+                assert.strictEqual(code, EXIT.auth);
+                assert.match(stderr, /No credentials/);
+                assert.deepStrictEqual(mock.server.requests, []);
+            });
+        });
+
+        it('exits with the usage code for a profile that does not exist', () => {
+            return cli(['portfolio', '--profile', 'nope']).then(({ code, stderr }) => {
+                assert.strictEqual(code, EXIT.usage);
+                assert.match(stderr, /No profile 'nope'/);
+            });
+        });
+    });
+
+    describe('exit codes', () => {
+
+        it('exits with the usage code for unknown commands and missing arguments', () => {
+            return Promise.all([cli(['campaigns', 'delete']), cli(['audience', 'add', '42']), cli(['portfolio', '-o', 'xml']), cli([])])
+                .then((results) => {
+                    assert.deepStrictEqual(results.map((r) => r.code), [EXIT.usage, EXIT.usage, EXIT.usage, EXIT.usage]);
+                    assert.match(results[1].stderr, /Missing --schema, --file/);
+                    assert.deepStrictEqual(mock.server.requests, []);
+                });
+        });
+
+        it('exits with the validation code for invalid input', () => {
+            return cli(['stats', '--from', '2020-01-10', '--to', '2020-01-01']).then(({ code, stderr }) => {
+                assert.strictEqual(code, EXIT.validation);
+                assert.match(stderr, /endDate/);
+            });
+        });
+
+        it('exits with the auth code when the credentials are refused', () => {
+            return cli(['portfolio', '--profile', 'wrong']).then(({ code }) => assert.strictEqual(code, EXIT.auth));
+        });
+
+        it('exits with the http code for API errors', () => {
+            return cli(['campaigns', 'get', 'nothing-here']).then(({ code, stderr }) => {
+                assert.strictEqual(code, EXIT.http);
+                assert.match(stderr, /^Error: /);
+            });
+        });
+
+        it('exits with the network code when the API cannot be reached', () => {
+            const closed = net.createServer();
+            return new Promise((resolve) => closed.listen(0, resolve))
+                .then(() => {
+                    const port = closed.address().port;
+                    return new Promise((resolve) => closed.close(() => resolve(port)));
+                })
+                .then((port) => {
+                    writeConfig({ 'default': { 'clientId': 'id', 'clientSecret': 'secret', ...server(), 'port': port } });
+                    return cli(['portfolio']);
+                })
+                .then(({ code }) => assert.strictEqual(code, EXIT.network));
+        });
+
+        it('exits with the error code for other errors', () => {
+            return cli(['audience', 'add', '42', '--schema', 'madid', '--file', path.join(dir, 'missing.txt')])
+                .then(({ code, stderr }) => {
+                    assert.strictEqual(code, EXIT.error);
+                    assert.match(stderr, /ENOENT/);
+                });
+        });
+    });
+});
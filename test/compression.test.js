@@ -0,0 +1,76 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const zlib = require('zlib');
+const { MapiParseError } = require('../lib/errors.js');
+const { useMockServer, requestsTo, STATS_QUERY } = require('./support.js');
+
+const PORTFOLIO = [{ 'advertiserId': 100, 'advertiserName': 'Compressed' }];
+
+/**
+ * Answer the next portfolio request with an encoded body.
+ */
+function encodedPortfolio(server, encoding, body){
+    server.injectFault({
+        'status': 200,
+        'path': '/v1/portfolio',
+        'headers': { 'Content-Type': 'application/json', 'Content-Encoding': encoding },
+        'body': body
+    });
+}
+
+describe('Compression', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+
+    it('asks for compressed responses', () => {
+        return mock.client().getPortfolio()
+            .then(() => {
+                const encodings = requestsTo(mock.server, 'GET', '/v1/portfolio')[0].headers['accept-encoding'];
+                assert.deepStrictEqual(encodings.split(', '), ['gzip', 'deflate', 'br']);
+            });
+    });
+
+    it('does not ask for compressed responses with compression off', () => {
+        return mock.client({ 'compression': false }).getPortfolio()
+            .then(() => assert.strictEqual(requestsTo(mock.server, 'GET', '/v1/portfolio')[0].headers['accept-encoding'], undefined));
+    });
+
+    it('decodes gzip responses', () => {
+        encodedPortfolio(mock.server, 'gzip', zlib.gzipSync(JSON.stringify(PORTFOLIO)));
+        return mock.client().getPortfolio()
+            .then((portfolio) => assert.deepStrictEqual(portfolio, PORTFOLIO));
+    });
+
+    it('decodes brotli responses', () => {
+        encodedPortfolio(mock.server, 'br', zlib.brotliCompressSync(JSON.stringify(PORTFOLIO)));
+        return mock.client().getPortfolio()
+            .then((portfolio) => assert.deepStrictEqual(portfolio, PORTFOLIO));
+    });
+
+    it('decodes deflate responses', () => {
+        encodedPortfolio(mock.server, 'deflate', zlib.deflateSync(JSON.stringify(PORTFOLIO)));
+        return mock.client().getPortfolio()
+            .then((portfolio) => assert.deepStrictEqual(portfolio, PORTFOLIO));
+    });
+
+    it('decodes streamed reports', () => {
+        const report = 'Day;Clicks\n2020-01-01;12\n';
+        mock.server.injectFault({
+            'status': 200,
+            'path': '/v1/statistics',
+            'headers': { 'Content-Type': 'text/csv', 'Content-Encoding': 'br' },
+            'body': zlib.brotliCompressSync(report)
+        });
+        return mock.client().getStats(STATS_QUERY, { 'stream': true })
+            .then((stream) => new Promise((resolve) => {
+                const chunks = [];
+                stream.on('data', (chunk) => chunks.push(chunk));
+                stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+            }))
+            .then((csv) => assert.strictEqual(csv, report));
+    });
+
+    it('rejects corrupt bodies with MapiParseError', () => {
+        encodedPortfolio(mock.server, 'gzip', Buffer.from('not gzip at all'));
+        return assert.rejects(mock.client().getPortfolio(), MapiParseError);
+    });
+});
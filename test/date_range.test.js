@@ -0,0 +1,124 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const { splitDateRange } = require('../lib/date_range.js');
+const { MapiValidationError } = require('../lib/errors.js');
+const { useMockServer, requestsTo, STATS_QUERY } = require('./support.js');
+
+describe('splitDateRange', () => {
+
+    it('splits by day', () => {
+        assert.deepStrictEqual(splitDateRange('2020-01-30', '2020-02-01', 'day'), [
+            { 'startDate': '2020-01-30', 'endDate': '2020-01-30' },
+            { 'startDate': '2020-01-31', 'endDate': '2020-01-31' },
+            { 'startDate': '2020-02-01', 'endDate': '2020-02-01' }
+        ]);
+    });
+
+    it('splits by ISO week, from Monday to Sunday', () => {
+        assert.deepStrictEqual(splitDateRange('2020-01-01', '2020-01-14', 'week'), [
+            { 'startDate': '2020-01-01', 'endDate': '2020-01-05' },
+            { 'startDate': '2020-01-06', 'endDate': '2020-01-12' },
+            { 'startDate': '2020-01-13', 'endDate': '2020-01-14' }
+        ]);
+    });
+
+    it('splits by month, including leap days', () => {
+        assert.deepStrictEqual(splitDateRange('2020-01-15', '2020-03-10', 'month'), [
+            { 'startDate': '2020-01-15', 'endDate': '2020-01-31' },
+            { 'startDate': '2020-02-01', 'endDate': '2020-02-29' },
+            { 'startDate': '2020-03-01', 'endDate': '2020-03-10' }
+        ]);
+    });
+
+    it('accepts full timestamps and single days', () => {
+        assert.deepStrictEqual(splitDateRange('2020-01-01T00:00:00.000Z', '2020-01-01T00:00:00.000Z', 'week'), [
+            { 'startDate': '2020-01-01', 'endDate': '2020-01-01' }
+        ]);
+    });
+
+    it('returns no ranges when the end is before the start', () => {
+        assert.deepStrictEqual(splitDateRange('2020-01-02', '2020-01-01', 'day'), []);
+    });
+
+    it('throws MapiValidationError for unknown units', () => {
+        assert.throws(() => splitDateRange('2020-01-01', '2020-01-02', 'year'), (err) => err instanceof MapiValidationError && /Unknown chunk size 'year'/.test(err.message));
+    });
+
+    it('throws MapiValidationError for invalid dates', () => {
+        assert.throws(() => splitDateRange('not a date', '2020-01-03', 'day'), (err) => err instanceof MapiValidationError && err.message === 'Invalid startDate, expected a date');
+        assert.throws(() => splitDateRange('2020-01-01', undefined, 'week'), /Invalid endDate/);
+    });
+});
+
+describe('Chunked reports', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+    const reports = () => requestsTo(mock.server, 'POST', '/v1/statistics');
+
+    it('requests each part and merges CSV under one header', () => {
+        const client = mock.client();
+        let whole;
+        return client.getStats(STATS_QUERY)
+            .then((csv) => {
+                whole = csv;
+                return client.getStats(STATS_QUERY, { 'chunk': 'week', 'concurrency': 1 });
+            })
+            .then((chunked) => {
+                assert.strictEqual(chunked.trim().split(/\r?\n/).length, whole.trim().split(/\r?\n/).length);
+                assert.deepStrictEqual(reports().slice(1).map((r) => [r.body.startDate.slice(0, 10), r.body.endDate.slice(0, 10)]), [
+                    ['2020-01-01', '2020-01-05'],
+                    ['2020-01-06', '2020-01-10']
+                ]);
+            });
+    });
+
+    it('concatenates parsed rows', () => {
+        return mock.client().getStats(STATS_QUERY, { 'chunk': 'day', 'parse': true })
+            .then((rows) => {
+                assert.strictEqual(reports().length, 10);
+                assert.strictEqual(rows.length, 20);
+                assert.ok(rows.every((row) => row.Day instanceof Date && typeof row.Clicks === 'number'));
+            });
+    });
+
+    it('retries failed parts and reports the part that still fails', () => {
+        mock.server.injectFault({ 'status': 503, 'path': '/v1/statistics' });
+        const client = mock.client();
+        return client.getStats(STATS_QUERY, { 'chunk': 'week', 'parse': true })
+            .then((rows) => {
+                assert.strictEqual(rows.length, 20);
+                assert.strictEqual(reports().length, 3);
+                mock.server.injectFault({ 'status': 500, 'path': '/v1/statistics', 'times': 3 });
+                return assert.rejects(client.getStats(STATS_QUERY, { 'chunk': 'week', 'parse': true, 'concurrency': 1 }), (err) => {
+                    assert.strictEqual(err.statusCode, 500);
+                    assert.deepStrictEqual(err.chunk, { 'startDate': '2020-01-01', 'endDate': '2020-01-05' });
+                    return true;
+                });
+            });
+    });
+
+    it('chunks seller reports', () => {
+        const query = { 'advertiserIds': '100', 'startDate': '2020-01-01', 'endDate': '2020-01-10', 'dimensions': ['Seller', 'Day'], 'metrics': ['Clicks'], 'format': 'JSON' };
+        return mock.client().getSellerStats(query, { 'chunk': 'week' })
+            .then((rows) => {
+                assert.strictEqual(requestsTo(mock.server, 'POST', '/v1/sellers/stats').length, 2);
+                assert.strictEqual(rows.length, 20);
+                assert.deepStrictEqual([...new Set(rows.map((row) => row.Seller))].sort(), ['Acme Retail', 'Globex Store']);
+            });
+    });
+
+    it('rejects invalid dates without a request, even with validateStats off', () => {
+        const query = { ...STATS_QUERY, 'startDate': 'not a date' };
+        return assert.rejects(mock.client({ 'validateStats': false }).getStats(query, { 'chunk': 'day' }), (err) => {
+            assert.ok(err instanceof MapiValidationError);
+            assert.strictEqual(err.message, 'Invalid startDate, expected a date');
+            return true;
+        })
+        .then(() => assert.deepStrictEqual(mock.server.requests, []));
+    });
+
+    it('rejects chunks whose rows cannot be merged', () => {
+        const query = { ...STATS_QUERY, 'dimensions': ['CampaignId'] };
+        return assert.rejects(mock.client().getStats(query, { 'chunk': 'week' }), MapiValidationError)
+            .then(() => assert.strictEqual(reports().length, 0));
+    });
+});
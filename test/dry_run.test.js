@@ -0,0 +1,86 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MapiValidationError } = require('../lib/errors.js');
+const { useMockServer, requestsTo, STATS_QUERY } = require('./support.js');
+
+const writes = (server) => server.requests.filter((r) => r.method !== 'GET' && r.path !== '/oauth2/token' && !/stat/.test(r.path));
+
+describe('Dry run', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+
+    it('resolves write requests with a preview instead of sending them', () => {
+        const client = mock.client().withOptions({ 'dryRun': true });
+        return client.updateBids([{ 'campaignId': 1001, 'bidValue': 2 }])
+            .then((preview) => {
+                assert.deepStrictEqual(preview, {
+                    'dryRun': true,
+                    'method': 'PUT',
+                    'path': '/marketing/v1/campaigns/bids',
+                    'url': `http://localhost:${mock.port}/marketing/v1/campaigns/bids`,
+                    'query': null,
+                    'body': JSON.stringify([{ 'campaignId': 1001, 'bidValue': 2 }])
+                });
+                assert.deepStrictEqual(writes(mock.server), []);
+                assert.strictEqual(mock.server.state.campaigns.find((c) => c.campaignId === 1001).bidValue, 0.5);
+            });
+    });
+
+    it('still runs reads, including statistics and publisher stats', () => {
+        const client = mock.client({ 'dryRun': true });
+        return Promise.all([
+            client.getCampaigns({ 'advertiserIds': 100 }),
+            client.getStats(STATS_QUERY, { 'parse': true }),
+            client.getPublisherStats({ 'advertiserIds': '100', 'startDate': '2020-01-01', 'endDate': '2020-01-02' })
+        ])
+        .then(([campaigns, rows, publishers]) => {
+            assert.ok(campaigns.length > 0);
+            assert.strictEqual(rows.length, 20);
+            assert.ok(Array.isArray(publishers) && !publishers.dryRun);
+            assert.strictEqual(requestsTo(mock.server, 'POST', '/v1/publishers/stats').length, 1);
+        });
+    });
+
+    it('still validates payloads', () => {
+        return assert.rejects(mock.client({ 'dryRun': true }).updateBids([{ 'bidValue': 2 }]), MapiValidationError);
+    });
+
+    it('only applies to views made with withOptions', () => {
+        const client = mock.client();
+        const view = client.withOptions({ 'dryRun': true });
+        return view.deleteAudience(mock.server.state.audiences[0].id)
+            .then((preview) => {
+                assert.strictEqual(preview.method, 'DELETE');
+                assert.strictEqual(client.dryRun, false);
+                assert.strictEqual(view.token, client.token);
+                return client.updateBids([{ 'campaignId': 1001, 'bidValue': 2 }]);
+            })
+            .then(() => assert.deepStrictEqual(writes(mock.server).map((r) => r.method), ['PUT']));
+    });
+
+    it('does not save the state of audience syncs', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'criteo-mapi-'));
+        const stateFile = path.join(dir, 'state.json');
+        const client = mock.client({ 'dryRun': true });
+        return client.syncAudience(mock.server.state.audiences[0].id, ['a@b.co'], { 'stateFile': stateFile, 'schema': 'email' })
+            .then((result) => {
+                assert.strictEqual(result.saved, false);
+                assert.strictEqual(result.added.batches[0].response.dryRun, true);
+                assert.ok(!fs.existsSync(stateFile));
+                assert.deepStrictEqual(writes(mock.server), []);
+            })
+            .finally(() => fs.rmSync(dir, { 'recursive': true, 'force': true }));
+    });
+
+    it('previews bid adjustments without applying them', () => {
+        return mock.client({ 'dryRun': true }).adjustBids({ 'change': '+10%', 'filter': { 'advertiserIds': '100' } })
+            .then((result) => {
+                assert.strictEqual(result.applied, false);
+                assert.strictEqual(result.response.dryRun, true);
+                assert.ok(result.changes.length > 0);
+                assert.deepStrictEqual(writes(mock.server), []);
+            });
+    });
+});
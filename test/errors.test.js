@@ -0,0 +1,77 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const { MapiError, MapiHttpError, MapiAuthError, MapiTimeoutError, MapiNetworkError, MapiParseError } = require('../lib/errors.js');
+const { useMockServer } = require('./support.js');
+
+describe('Errors', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+
+    it('rejects non-2xx responses with MapiHttpError and the response details', () => {
+        return assert.rejects(mock.client().getCampaign(9999), (err) => {
+            assert.ok(err instanceof MapiHttpError);
+            assert.ok(!(err instanceof MapiAuthError));
+            assert.ok(err instanceof MapiError);
+            assert.strictEqual(err.name, 'MapiHttpError');
+            assert.strictEqual(err.statusCode, 404);
+            assert.strictEqual(err.method, 'GET');
+            assert.strictEqual(err.path, '/marketing/v1/campaigns/9999');
+            assert.strictEqual(typeof err.body, 'object');
+            return true;
+        });
+    });
+
+    it('rejects 403 responses with MapiAuthError', () => {
+        mock.server.injectFault({ 'status': 403, 'path': '/v1/portfolio' });
+        return assert.rejects(mock.client().getPortfolio(), (err) => err instanceof MapiAuthError && err.statusCode === 403);
+    });
+
+    it('rejects malformed JSON with MapiParseError', () => {
+        mock.server.injectFault({ 'status': 200, 'path': '/v1/portfolio', 'body': '{"advertisers": [' });
+        return assert.rejects(mock.client().getPortfolio(), MapiParseError);
+    });
+
+    it('rejects refused connections with MapiNetworkError', () => {
+        const server = http.createServer();
+        return new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+            .then(() => {
+                const port = server.address().port;
+                return new Promise((resolve) => server.close(() => resolve(port)));
+            })
+            .then((port) => assert.rejects(mock.client({ 'port': port, 'retry': false }).getPortfolio(), (err) => {
+                assert.ok(err instanceof MapiNetworkError);
+                assert.strictEqual(err.code, 'ECONNREFUSED');
+                return true;
+            }));
+    });
+
+    it('rejects requests without a response in time with MapiTimeoutError', () => {
+        const sockets = [];
+        const server = http.createServer(() => {});
+        server.on('connection', (socket) => sockets.push(socket));
+        return new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+            .then(() => {
+                const client = mock.client({ 'port': server.address().port, 'timeout': 100, 'retry': false });
+                client.token = 'token';
+                return assert.rejects(client.getPortfolio(), (err) => {
+                    assert.ok(err instanceof MapiTimeoutError);
+                    assert.strictEqual(err.timeout, 100);
+                    return true;
+                });
+            })
+            .finally(() => {
+                sockets.forEach((socket) => socket.destroy());
+                return new Promise((resolve) => server.close(resolve));
+            });
+    });
+
+    it('passes errors to callbacks', () => {
+        return new Promise((resolve) => {
+            mock.client().getCampaign(9999, (err, res) => {
+                assert.ok(err instanceof MapiHttpError);
+                assert.strictEqual(res, undefined);
+                resolve();
+            });
+        });
+    });
+});
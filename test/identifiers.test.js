@@ -0,0 +1,102 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { normalizeIdentifier, normalizeIdentifiers, batchIdentifiers } = require('../lib/identifiers.js');
+const { MapiValidationError } = require('../lib/errors.js');
+const { useMockServer, requestsTo } = require('./support.js');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('Identifier normalization', () => {
+
+    it('trims, lowercases and hashes emails', () => {
+        assert.deepStrictEqual(normalizeIdentifier('email', '  Jane.Doe@Example.COM '), { 'value': sha256('jane.doe@example.com') });
+    });
+
+    it('keeps emails that are already hashed', () => {
+        const md5 = crypto.createHash('md5').update('jane.doe@example.com').digest('hex');
+        assert.deepStrictEqual(normalizeIdentifier('email', md5.toUpperCase()), { 'value': md5 });
+        assert.deepStrictEqual(normalizeIdentifier('email', sha256('a@b.co')), { 'value': sha256('a@b.co') });
+    });
+
+    it('rejects invalid values with a reason', () => {
+        assert.deepStrictEqual(normalizeIdentifier('email', 'not-an-email'), { 'error': 'invalid email address' });
+        assert.deepStrictEqual(normalizeIdentifier('madid', '00000000-0000-0000-0000-000000000000'), { 'error': 'zeroed MAID (limited ad tracking)' });
+        assert.deepStrictEqual(normalizeIdentifier('madid', 'abc'), { 'error': 'invalid MAID, expected a UUID' });
+        assert.deepStrictEqual(normalizeIdentifier('gum', 'a b'), { 'error': 'invalid gum identifier' });
+        assert.deepStrictEqual(normalizeIdentifier('email', '  '), { 'error': 'empty' });
+        assert.deepStrictEqual(normalizeIdentifier('phone', '123'), { 'error': "unsupported schema 'phone'" });
+    });
+
+    it('lowercases MAIDs', () => {
+        assert.deepStrictEqual(normalizeIdentifier('madid', ' 6D92078A-8246-4BA4-AE5B-76104861E7DC '), { 'value': '6d92078a-8246-4ba4-ae5b-76104861e7dc' });
+    });
+
+    it('lists the rejected values of a list with their index', () => {
+        const result = normalizeIdentifiers('email', ['a@b.co', 'nope', 'c@d.co']);
+        assert.deepStrictEqual(result.identifiers, [sha256('a@b.co'), sha256('c@d.co')]);
+        assert.deepStrictEqual(result.rejected, [{ 'index': 1, 'value': 'nope', 'reason': 'invalid email address' }]);
+    });
+
+    it('batches identifiers from a stream', async () => {
+        const batches = [];
+        for await (const batch of batchIdentifiers(Readable.from(['a\nb\n', '\nc\r\nd\ne']), 2)){
+            batches.push(batch);
+        }
+        assert.deepStrictEqual(batches, [['a', 'b'], ['c', 'd'], ['e']]);
+    });
+});
+
+describe('Audience uploads with normalize', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+    const audience = () => mock.server.state.audiences[0];
+    const uploads = () => requestsTo(mock.server, 'PATCH', `/v1/audiences/userlist/${audience().id}`);
+
+    it('sends hashed emails', () => {
+        return mock.client().addToAudience(audience().id, { 'schema': 'email', 'identifiers': [' A@B.co '], 'normalize': true })
+            .then(() => assert.deepStrictEqual(uploads()[0].body.identifiers, [sha256('a@b.co')]));
+    });
+
+    it('rejects invalid identifiers without sending any', () => {
+        let rejected;
+        const options = { 'schema': 'email', 'identifiers': ['a@b.co', 'nope'], 'normalize': true, 'onRejected': (ids) => (rejected = ids) };
+        return assert.rejects(mock.client().addToAudience(audience().id, options), (err) => {
+            assert.ok(err instanceof MapiValidationError);
+            assert.deepStrictEqual(err.errors, [{ 'index': 1, 'value': 'nope', 'reason': 'invalid email address' }]);
+            return true;
+        })
+        .then(() => {
+            assert.deepStrictEqual(rejected, [{ 'index': 1, 'value': 'nope', 'reason': 'invalid email address' }]);
+            assert.strictEqual(uploads().length, 0);
+        });
+    });
+
+    it('checks every batch of a bulk upload before sending the first', () => {
+        const identifiers = ['a@b.co', 'c@d.co', 'e@f.co', 'nope'];
+        return assert.rejects(mock.client().bulkAddToAudience(audience().id, { 'schema': 'email', 'identifiers': identifiers, 'batchSize': 2, 'normalize': true }), MapiValidationError)
+            .then(() => assert.strictEqual(uploads().length, 0));
+    });
+
+    it('reports rejected identifiers by their index in the whole input', () => {
+        const rejected = [];
+        const identifiers = Readable.from(['a@b.co\nc@d.co\nbad\ne@f.co\nworse\n']);
+        return mock.client().bulkAddToAudience(audience().id, {
+            'schema': 'email',
+            'identifiers': identifiers,
+            'batchSize': 2,
+            'concurrency': 1,
+            'normalize': true,
+            'skipInvalid': true,
+            'onRejected': (ids) => rejected.push(...ids)
+        })
+        .then((report) => {
+            assert.deepStrictEqual(rejected.map((r) => r.index), [2, 4]);
+            assert.strictEqual(report.total, 3);
+            assert.strictEqual(report.accepted, 3);
+            assert.strictEqual(report.rejected, 2);
+            assert.deepStrictEqual(uploads().map((r) => r.body.identifiers.length), [2, 1]);
+            assert.deepStrictEqual(uploads()[1].body.identifiers, [sha256('e@f.co')]);
+        });
+    });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const Criteo_MAPI_Client = require('../lib/mapi.js');
+const Event_Logger = require('../lib/logger.js');
+const { useMockServer } = require('./support.js');
+
+const SECRET = 'logger-test-secret';
+const IDENTIFIERS = ['madid-of-someone', 'madid-of-someone-else'];
+
+describe('Logged requests', () => {
+    const mock = useMockServer({ before, after, beforeEach }, { 'clientSecret': SECRET });
+    const audience = () => mock.server.state.audiences[0].id;
+    let calls;
+
+    const client = (options = {}) => new Criteo_MAPI_Client('id', SECRET, 'localhost', '/marketing', {
+        'protocol': 'http:',
+        'port': mock.port,
+        'retry': { 'baseDelay': 1, 'jitter': 0 },
+        'logger': (level, event, fields) => calls.push({ 'level': level, 'event': event, 'fields': fields }),
+        'logLevel': 'debug',
+        ...options
+    });
+
+    /**
+     * Authenticate, then upload to an audience with a token the server no longer accepts, so that a new one is requested.
+     */
+    const authenticateAndUpload = (criteo) => criteo.authenticate()
+        .then(() => mock.server.expireTokens())
+        .then(() => criteo.addToAudience(audience(), { 'schema': 'madid', 'identifiers': IDENTIFIERS }));
+
+    const logged = () => JSON.stringify(calls);
+
+    beforeEach(() => {
+        calls = [];
+    });
+
+    it('logs the token requests, the rejected token and the upload', () => {
+        return authenticateAndUpload(client())
+            .then(() => {
+                const events = calls.map((c) => `${c.level} ${c.event}`);
+                assert.deepStrictEqual(events.filter((e) => /^info auth|^warn auth/.test(e)), ['info auth.refresh', 'warn auth.rejected', 'info auth.refresh']);
+                assert.deepStrictEqual(calls.filter((c) => c.event === 'request.start').map((c) => c.fields.method), ['POST', 'PATCH', 'POST']);
+                const upload = calls.find((c) => c.event === 'request.start' && c.fields.method === 'PATCH');
+                assert.strictEqual(calls.find((c) => c.event === 'auth.rejected').fields.path, upload.fields.path);
+                assert.deepStrictEqual(upload.fields.body.identifiers, IDENTIFIERS);
+            });
+    });
+
+    it('never logs the client secret or a token', () => {
+        return authenticateAndUpload(client())
+            .then(() => {
+                const tokens = Object.keys(mock.server.tokens);
+                assert.strictEqual(tokens.length, 2);
+                for (const secret of [SECRET, ...tokens]){
+                    assert.ok(logged().indexOf(secret) < 0, `${secret} was logged`);
+                }
+                const token = calls.find((c) => c.event === 'request.start' && c.fields.path === '/marketing/oauth2/token');
+                assert.match(token.fields.body, /client_secret=\[REDACTED\]/);
+            });
+    });
+
+    it('never logs identifiers with redactIdentifiers', () => {
+        return authenticateAndUpload(client({ 'redactIdentifiers': true }))
+            .then(() => {
+                for (const id of IDENTIFIERS){
+                    assert.ok(logged().indexOf(id) < 0, `${id} was logged`);
+                }
+                const upload = calls.find((c) => c.event === 'request.start' && c.fields.method === 'PATCH');
+                assert.strictEqual(upload.fields.body.identifiers, '[REDACTED] (2)');
+            });
+    });
+
+    it('logs nothing below the level', () => {
+        return client({ 'logLevel': 'info' }).authenticate()
+            .then(() => assert.deepStrictEqual(calls.map((c) => c.event), ['request.end', 'auth.refresh']));
+    });
+});
+
+describe('Event logger', () => {
+    const record = (calls, name) => (...args) => calls.push([name, ...args]);
+
+    it('calls functions with level, event and fields', () => {
+        const calls = [];
+        const logger = new Event_Logger((...args) => calls.push(args));
+        logger.info('request.end', { 'status': 200 });
+        logger.debug('request.start', {});
+        assert.strictEqual(logger.type, 'function');
+        assert.deepStrictEqual(calls, [['info', 'request.end', { 'event': 'request.end', 'status': 200 }]]);
+    });
+
+    it('detects pino and passes it the fields first, at debug by default', () => {
+        const calls = [];
+        const pino = { 'child': () => pino, 'levels': { 'values': { 'info': 30 } }, 'debug': record(calls, 'debug'), 'info': record(calls, 'info'), 'warn': record(calls, 'warn') };
+        const logger = new Event_Logger(pino);
+        logger.debug('request.start', { 'path': '/v1/portfolio' });
+        assert.deepStrictEqual([logger.type, logger.level], ['pino', 'debug']);
+        assert.deepStrictEqual(calls, [['debug', { 'event': 'request.start', 'path': '/v1/portfolio' }, 'request.start']]);
+    });
+
+    it('detects winston and passes it the event first, at debug by default', () => {
+        const calls = [];
+        const winston = { 'add': () => {}, 'configure': () => {}, 'debug': record(calls, 'debug'), 'info': record(calls, 'info'), 'warn': record(calls, 'warn') };
+        const logger = new Event_Logger(winston);
+        logger.warn('request.retry', { 'delay': 1 });
+        assert.deepStrictEqual([logger.type, logger.level], ['winston', 'debug']);
+        assert.deepStrictEqual(calls, [['warn', 'request.retry', { 'event': 'request.retry', 'delay': 1 }]]);
+    });
+
+    it('logs to console-like objects with a prefix, at info by default', () => {
+        const calls = [];
+        const logger = new Event_Logger({ 'log': record(calls, 'log'), 'warn': record(calls, 'warn') });
+        logger.debug('request.start', {});
+        logger.info('request.end', {});
+        logger.warn('request.error', {});
+        assert.deepStrictEqual([logger.type, logger.level], ['console', 'info']);
+        assert.deepStrictEqual(calls, [
+            ['log', 'criteo-mapi request.end', { 'event': 'request.end' }],
+            ['warn', 'criteo-mapi request.error', { 'event': 'request.error' }]
+        ]);
+    });
+
+    it('logs nothing without a logger and ignores loggers that throw', () => {
+        assert.strictEqual(new Event_Logger().enabled('warn'), false);
+        const logger = new Event_Logger(() => {
+            throw new Error('disk full');
+        });
+        assert.doesNotThrow(() => logger.warn('request.error', {}));
+        assert.throws(() => new Event_Logger(console, { 'level': 'trace' }), TypeError);
+    });
+
+    it('redacts secret fields, Bearer tokens and form fields', () => {
+        const logger = new Event_Logger(() => {}, { 'redactFields': ['apiKey'] });
+        assert.deepStrictEqual(logger.redact({
+            'headers': { 'Authorization': 'Bearer abc', 'X-Note': 'Bearer def' },
+            'body': 'grant_type=client_credentials&client_secret=abc',
+            'json': '{"refresh_token":"abc","apikey":"def","nested":[{"password":"ghi"}]}'
+        }), {
+            'headers': { 'Authorization': '[REDACTED]', 'X-Note': 'Bearer [REDACTED]' },
+            'body': 'grant_type=client_credentials&client_secret=[REDACTED]',
+            'json': { 'refresh_token': '[REDACTED]', 'apikey': '[REDACTED]', 'nested': [{ 'password': '[REDACTED]' }] }
+        });
+    });
+});
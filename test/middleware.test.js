@@ -0,0 +1,119 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const Criteo_MAPI_Client = require('../lib/mapi.js');
+const { compose } = require('../lib/middleware.js');
+const { MapiHttpError } = require('../lib/errors.js');
+const { useMockServer, requestsTo } = require('./support.js');
+
+const TOKEN_PATH = '/oauth2/token';
+
+describe('Middleware composition', () => {
+
+    it('runs middleware in order around each other', () => {
+        const calls = [];
+        const track = (name) => (ctx, next) => {
+            calls.push(`${name} in`);
+            return next().then(() => calls.push(`${name} out`));
+        };
+        return compose([track('a'), track('b')])({})
+            .then(() => assert.deepStrictEqual(calls, ['a in', 'b in', 'b out', 'a out']));
+    });
+
+    it('rejects with errors thrown synchronously', () => {
+        return assert.rejects(compose([() => {
+            throw new Error('broken');
+        }])({}), /broken/);
+    });
+});
+
+describe('Request pipeline', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+    const apiOnly = (fn) => (ctx, next) => ctx.path === TOKEN_PATH ? next() : fn(ctx, next);
+
+    it('sends the headers middleware sets', () => {
+        const client = mock.client().use((ctx, next) => {
+            ctx.headers['X-Request-Id'] = `request-${ctx.path}`;
+            return next();
+        });
+        return client.getCampaign(1001)
+            .then(() => {
+                assert.strictEqual(requestsTo(mock.server, 'GET', '/v1/campaigns/1001')[0].headers['x-request-id'], 'request-/v1/campaigns/1001');
+                assert.strictEqual(requestsTo(mock.server, 'POST', TOKEN_PATH)[0].headers['x-request-id'], `request-${TOKEN_PATH}`);
+            });
+    });
+
+    it('sends the request to the host and path middleware rewrites', () => {
+        const client = new Criteo_MAPI_Client('id', 'secret', 'unreachable.invalid', '/marketing', { 'protocol': 'http:', 'port': mock.port });
+        client.use((ctx, next) => {
+            ctx.host = 'localhost';
+            return next();
+        });
+        client.use(apiOnly((ctx, next) => {
+            ctx.path = ctx.path.replace('/campaigns/9999', '/campaigns/1001');
+            return next();
+        }));
+        return client.getCampaign(9999)
+            .then((campaign) => {
+                assert.strictEqual(campaign.campaignId, 1001);
+                assert.strictEqual(requestsTo(mock.server, 'GET', '/v1/campaigns/9999').length, 0);
+                assert.strictEqual(requestsTo(mock.server, 'GET', '/v1/campaigns/1001').length, 1);
+            });
+    });
+
+    it('resolves with the result middleware sets', () => {
+        const client = mock.client().use(apiOnly((ctx, next) => next().then(() => {
+            ctx.result = { 'status': ctx.status, 'campaign': ctx.result.campaignName };
+        })));
+        return client.getCampaign(1001)
+            .then((result) => assert.deepStrictEqual(result, { 'status': 200, 'campaign': 'Shoes - Prospecting' }));
+    });
+
+    it('turns errors middleware catches into results', () => {
+        const client = mock.client().use(apiOnly((ctx, next) => next().catch((err) => {
+            if (!(err instanceof MapiHttpError) || err.statusCode !== 404){
+                return Promise.reject(err);
+            }
+            ctx.result = null;
+        })));
+        return client.getCampaign('nothing-here')
+            .then((result) => assert.strictEqual(result, null))
+            .then(() => {
+                mock.server.injectFault({ 'status': 400, 'path': '/v1/campaigns/' });
+                return assert.rejects(client.getCampaign(1001), MapiHttpError);
+            });
+    });
+
+    it('runs middleware once per retry attempt', () => {
+        const attempts = [];
+        const client = mock.client().use(apiOnly((ctx, next) => {
+            attempts.push(ctx.attempt);
+            return next();
+        }));
+        mock.server.injectFault({ 'status': 503, 'path': '/v1/campaigns/', 'times': 2 });
+        return client.getCampaign(1001)
+            .then(() => {
+                assert.deepStrictEqual(attempts, [1, 2, 3]);
+                assert.strictEqual(requestsTo(mock.server, 'GET', '/v1/campaigns/1001').length, 3);
+            });
+    });
+
+    it('adds middleware to a withOptions view only', () => {
+        const client = mock.client();
+        const calls = [];
+        const view = client.withOptions({ 'dryRun': true }).use(apiOnly((ctx, next) => {
+            calls.push(ctx.path);
+            return next();
+        }));
+        return view.getCampaign(1001)
+            .then(() => client.getCampaign(1002))
+            .then(() => {
+                assert.deepStrictEqual(calls, ['/v1/campaigns/1001']);
+                assert.strictEqual(client.middleware.length, 0);
+                assert.strictEqual(view.middleware.length, 1);
+            });
+    });
+
+    it('only accepts functions', () => {
+        assert.throws(() => mock.client().use('logger'), TypeError);
+    });
+});
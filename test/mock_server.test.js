@@ -0,0 +1,84 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const Mock_MAPI_Server = require('../lib/mock_server.js');
+const { useMockServer, requestsTo } = require('./support.js');
+
+describe('Mock server', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+
+    it('issues tokens and serves the portfolio', () => {
+        return mock.client().getPortfolio()
+            .then((advertisers) => {
+                assert.deepStrictEqual(advertisers, mock.server.state.advertisers);
+                assert.deepStrictEqual(mock.server.requests.map((r) => `${r.method} ${r.path}`), ['POST /oauth2/token', 'GET /v1/portfolio']);
+            });
+    });
+
+    it('only issues tokens for its credentials', () => {
+        const server = new Mock_MAPI_Server({ 'clientSecret': 'other' });
+        const request = { 'body': { 'grant_type': 'client_credentials', 'client_id': 'id', 'client_secret': 'secret' } };
+        assert.deepStrictEqual(server.token(request), { 'status': 401, 'body': { 'error': 'invalid_client' } });
+        assert.strictEqual(new Mock_MAPI_Server({ 'clientId': null }).token(request).body.token_type, 'Bearer');
+    });
+
+    it('keeps changes in its state until reset', () => {
+        const client = mock.client();
+        return client.updateBids([{ 'campaignId': 1001, 'bidValue': 0.9 }])
+            .then(() => client.getBids({ 'campaignIds': '1001' }))
+            .then((bids) => {
+                assert.strictEqual(bids[0].bidValue, 0.9);
+                mock.server.reset();
+                assert.strictEqual(mock.server.state.campaigns.find((c) => c.campaignId === 1001).bidValue, 0.5);
+                assert.deepStrictEqual(mock.server.requests, []);
+            });
+    });
+
+    it('serves statistics as CSV, XML and JSON', () => {
+        const client = mock.client();
+        const query = (format) => ({ 'reportType': 'CampaignPerformance', 'advertiserIds': '100', 'startDate': '2020-01-01', 'endDate': '2020-01-01', 'dimensions': ['CampaignId', 'Day'], 'metrics': ['Clicks'], 'format': format });
+        return Promise.all(['CSV', 'XML', 'JSON'].map((format) => client.getStats(query(format))))
+            .then(([csv, xml, json]) => {
+                assert.strictEqual(csv.split('\n')[0], 'CampaignId,Day,Clicks');
+                assert.match(xml, /^<\?xml.*<Row><CampaignId>1001<\/CampaignId>/);
+                assert.strictEqual(json.Rows.length, 2);
+            });
+    });
+
+    it('serves the v1 seller routes', () => {
+        const client = mock.client();
+        return Promise.all([
+            client.getSellers({ 'campaignIds': '1001' }),
+            client.getSellerCampaigns({ 'advertiserIds': '100' })
+        ])
+        .then(([sellers, campaigns]) => {
+            assert.deepStrictEqual(sellers.map((s) => s.sellerName), ['Acme Retail', 'Globex Store']);
+            assert.deepStrictEqual(campaigns.find((c) => c.campaignId === 1001).sellers, [
+                { 'sellerName': 'Acme Retail', 'bid': 0.4 },
+                { 'sellerName': 'Globex Store', 'bid': 0.3 }
+            ]);
+        });
+    });
+
+    it('answers unknown resources with a 404', () => {
+        return assert.rejects(mock.client().getCampaign('nothing-here'), (err) => err.statusCode === 404);
+    });
+
+    it('fails the requests matching an injected fault', () => {
+        const client = mock.client({ 'retry': false });
+        mock.server.injectFault({ 'status': 500, 'path': '/v1/portfolio', 'times': 2 });
+        return assert.rejects(client.getPortfolio(), (err) => err.statusCode === 500)
+            .then(() => assert.rejects(client.getPortfolio(), (err) => err.statusCode === 500))
+            .then(() => client.getPortfolio())
+            .then(() => assert.strictEqual(requestsTo(mock.server, 'GET', '/v1/portfolio').length, 3));
+    });
+
+    it('rejects expired tokens', () => {
+        const server = mock.server;
+        return mock.client({ 'retry': false }).getPortfolio()
+            .then(() => {
+                server.expireTokens();
+                const token = Object.keys(server.tokens)[0];
+                assert.strictEqual(server.isAuthorized({ 'headers': { 'authorization': `Bearer ${token}` } }), false);
+            });
+    });
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { budgetPacing } = require('../lib/pacing.js');
+const { parseCSVObjects } = require('../lib/csv.js');
+const { useMockServer, requestsTo } = require('./support.js');
+
+describe('Budget pacing', () => {
+    const budget = (spend, extra = {}) => ({ 'id': '1', 'sellerId': '11', 'budgetType': 'Capped', 'amount': 1000, 'startDate': '2020-01-01', 'endDate': '2020-01-10', 'spend': spend, ...extra });
+    const asOf = '2020-01-06T00:00:00Z';
+
+    it('projects the average spend so far to the end of the period', () => {
+        const pacing = budgetPacing(budget(500), { 'asOf': asOf });
+        assert.deepStrictEqual(
+            [pacing.daysElapsed, pacing.daysRemaining, pacing.expectedSpend, pacing.runRate, pacing.projectedSpend, pacing.pace, pacing.status],
+            [5, 5, 500, 100, 1000, 1, 'on-pace']
+        );
+    });
+
+    it('tells over-pacing, under-pacing and exhausted budgets apart', () => {
+        assert.strictEqual(budgetPacing(budget(700), { 'asOf': asOf }).status, 'over-pacing');
+        assert.strictEqual(budgetPacing(budget(300), { 'asOf': asOf }).status, 'under-pacing');
+        assert.strictEqual(budgetPacing(budget(1000), { 'asOf': asOf }).status, 'exhausted');
+        assert.strictEqual(budgetPacing(budget(540), { 'asOf': asOf, 'tolerance': 0.1 }).status, 'on-pace');
+        assert.strictEqual(budgetPacing(budget(540), { 'asOf': asOf, 'tolerance': 0.05 }).status, 'over-pacing');
+    });
+
+    it('projects the run rate when given', () => {
+        const pacing = budgetPacing(budget(500), { 'asOf': asOf, 'runRate': 20 });
+        assert.deepStrictEqual([pacing.projectedSpend, pacing.status], [600, 'under-pacing']);
+    });
+
+    it('paces daily budgets on the amount of every day, and cannot pace budgets without an amount or end date', () => {
+        assert.deepStrictEqual(budgetPacing(budget(500, { 'budgetType': 'Daily', 'amount': 100 }), { 'asOf': asOf }).amount, 1000);
+        assert.strictEqual(budgetPacing(budget(500, { 'amount': null }), { 'asOf': asOf }).status, 'unknown');
+        assert.strictEqual(budgetPacing(budget(500, { 'endDate': null }), { 'asOf': asOf }).status, 'unknown');
+    });
+});
+
+describe('CRP pacing reports', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+    const budgets = () => mock.server.state.crpBudgets;
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'criteo-pacing-'));
+    });
+
+    afterEach(() => fs.rmSync(dir, { 'recursive': true, 'force': true }));
+
+    it('reports over-pacing, under-pacing and exhausted budgets', () => {
+        budgets().push({ ...budgets()[1], 'id': '44', 'amount': 300 });
+        return mock.client().getCRPPacing({ 'runRateDays': 0 })
+            .then((report) => {
+                assert.deepStrictEqual(report.map((b) => [b.budgetId, b.status]), [['41', 'over-pacing'], ['42', 'under-pacing'], ['44', 'exhausted']]);
+                assert.deepStrictEqual(report.map((b) => b.spend), [1800, 400, 400]);
+                assert.deepStrictEqual(requestsTo(mock.server, 'GET', '/v2/crp/stats/seller-campaigns'), []);
+            });
+    });
+
+    it('projects the run rate of the seller campaign stats', () => {
+        return mock.client().getCRPPacing({ 'sellerIds': '11' })
+            .then((report) => {
+                const stats = requestsTo(mock.server, 'GET', '/v2/crp/stats/seller-campaigns');
+                assert.deepStrictEqual(stats.map((r) => [r.query.sellerId, r.query.intervalSize]), [['11', 'Day']]);
+                assert.strictEqual(report.length, 1);
+                // The mock costs at most 30 a day, far from the 1800 spent in the first 10 days
+                assert.ok(report[0].runRate > 0 && report[0].runRate <= 30);
+                assert.strictEqual(report[0].status, 'under-pacing');
+            });
+    });
+
+    it('reports budgets without an amount as unknown', () => {
+        return mock.client().getCRPPacing({ 'status': 'Archived', 'runRateDays': 0 })
+            .then((report) => assert.deepStrictEqual(report.map((b) => [b.budgetId, b.amount, b.status]), [['43', null, 'unknown']]));
+    });
+
+    it('exports the report as CSV', () => {
+        const filepath = path.join(dir, 'pacing.csv');
+        const client = mock.client();
+        return client.getCRPPacing({ 'runRateDays': 0, 'format': 'CSV' })
+            .then((csv) => {
+                const rows = parseCSVObjects(csv);
+                assert.deepStrictEqual(Object.keys(rows[0]).slice(0, 3), ['budgetId', 'sellerId', 'budgetType']);
+                assert.deepStrictEqual(rows.map((r) => [r.budgetId, r.status]), [['41', 'over-pacing'], ['42', 'under-pacing']]);
+                return client.getCRPPacing({ 'runRateDays': 0, 'format': 'csv', 'filepath': filepath });
+            })
+            .then((message) => {
+                assert.strictEqual(message, `Results saved to ${filepath}.`);
+                assert.match(fs.readFileSync(filepath, 'utf8'), /^budgetId,sellerId,budgetType,amount,/);
+            });
+    });
+});
@@ -0,0 +1,46 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const { Campaign, Category } = require('../lib/resources.js');
+const { useMockServer } = require('./support.js');
+
+describe('Resources', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+
+    it('navigates from advertisers to campaigns and categories', () => {
+        return mock.client().advertisers()
+            .then((advertisers) => advertisers[0].campaigns())
+            .then((campaigns) => {
+                assert.ok(campaigns[0] instanceof Campaign);
+                return campaigns[0].categories();
+            })
+            .then((categories) => assert.ok(categories.length > 0 && categories.every((c) => c instanceof Category)));
+    });
+
+    it('keeps fields named like methods out of the way of the methods', () => {
+        const client = mock.client();
+        const campaign = new Campaign(client, { 'campaignId': 1001, 'bidValue': 0.5, 'categories': [{ 'categoryHashCode': 9001 }], 'client': 'other' });
+        assert.strictEqual(typeof campaign.categories, 'function');
+        assert.strictEqual(campaign.client, client);
+        assert.deepStrictEqual(campaign.data.categories, [{ 'categoryHashCode': 9001 }]);
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(campaign)), {
+            'campaignId': 1001,
+            'bidValue': 0.5,
+            'categories': [{ 'categoryHashCode': 9001 }],
+            'client': 'other'
+        });
+        return campaign.categories()
+            .then((categories) => assert.ok(categories.every((c) => c instanceof Category)));
+    });
+
+    it('saves changed fields', () => {
+        return mock.client().campaign(1001)
+            .then((campaign) => {
+                campaign.bidValue = 0.8;
+                return campaign.save();
+            })
+            .then((campaign) => {
+                assert.strictEqual(campaign.bidValue, 0.8);
+                assert.strictEqual(mock.server.state.campaigns.find((c) => c.campaignId === 1001).bidValue, 0.8);
+            });
+    });
+});
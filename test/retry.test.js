@@ -0,0 +1,99 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const Retry_Policy = require('../lib/retry_policy.js');
+const { MapiHttpError, MapiNetworkError } = require('../lib/errors.js');
+const { useMockServer, requestsTo, STATS_QUERY } = require('./support.js');
+
+const httpError = (status, headers = {}) => new MapiHttpError(`Status ${status}`, { 'statusCode': status, 'headers': headers });
+
+describe('Retry_Policy', () => {
+
+    it('retries idempotent requests on retryable errors up to maxAttempts', () => {
+        const policy = new Retry_Policy({ 'maxAttempts': 3, 'baseDelay': 100, 'jitter': 0 });
+        assert.strictEqual(policy.delay({ 'method': 'GET', 'attempt': 1 }, httpError(503)), 100);
+        assert.strictEqual(policy.delay({ 'method': 'GET', 'attempt': 2 }, httpError(503)), 200);
+        assert.strictEqual(policy.delay({ 'method': 'GET', 'attempt': 3 }, httpError(503)), null);
+        assert.strictEqual(policy.delay({ 'method': 'GET', 'attempt': 1 }, httpError(400)), null);
+        assert.strictEqual(policy.delay({ 'method': 'GET', 'attempt': 1 }, new MapiNetworkError('reset', { 'code': 'ECONNRESET' })), 100);
+    });
+
+    it('only retries POST and PATCH requests marked idempotent', () => {
+        const policy = new Retry_Policy({ 'jitter': 0 });
+        assert.strictEqual(policy.delay({ 'method': 'POST', 'attempt': 1 }, httpError(503)), null);
+        assert.strictEqual(policy.delay({ 'method': 'POST', 'attempt': 1, 'idempotent': true }, httpError(503)), 500);
+    });
+
+    it('waits as long as Retry-After asks, in seconds or as a date', () => {
+        const policy = new Retry_Policy({ 'maxRetryAfter': 60000 });
+        assert.strictEqual(policy.delay({ 'method': 'GET' }, httpError(429, { 'retry-after': '2' })), 2000);
+        const date = new Date(Date.now() + 10000).toUTCString();
+        const delay = policy.delay({ 'method': 'GET' }, httpError(429, { 'retry-after': date }));
+        assert.ok(delay > 8000 && delay <= 10000, `${delay}`);
+        assert.strictEqual(policy.delay({ 'method': 'GET' }, httpError(429, { 'retry-after': '61' })), null);
+    });
+
+    it('never retries when disabled', () => {
+        assert.strictEqual(new Retry_Policy(false).delay({ 'method': 'GET' }, httpError(503)), null);
+    });
+});
+
+describe('Retries', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+
+    it('retries failed GET requests', () => {
+        mock.server.injectFault({ 'status': 503, 'path': '/v1/portfolio', 'times': 2 });
+        return mock.client().getPortfolio()
+            .then((portfolio) => {
+                assert.ok(Array.isArray(portfolio));
+                assert.strictEqual(requestsTo(mock.server, 'GET', '/v1/portfolio').length, 3);
+            });
+    });
+
+    it('gives up after maxAttempts', () => {
+        mock.server.injectFault({ 'status': 500, 'path': '/v1/portfolio', 'times': 5 });
+        return assert.rejects(mock.client({ 'retry': { 'maxAttempts': 2, 'baseDelay': 1 } }).getPortfolio(), (err) => err.statusCode === 500)
+            .then(() => assert.strictEqual(requestsTo(mock.server, 'GET', '/v1/portfolio').length, 2));
+    });
+
+    it('does not retry POST requests that create resources', () => {
+        mock.server.injectFault({ 'status': 503, 'path': '/v1/audiences/userlist', 'method': 'POST' });
+        return assert.rejects(mock.client().createAudience(100, { 'name': 'Subscribers' }), (err) => err.statusCode === 503)
+            .then(() => assert.strictEqual(requestsTo(mock.server, 'POST', '/v1/audiences/userlist').length, 1));
+    });
+
+    it('retries the read-only statistics POST requests', () => {
+        mock.server.injectFault({ 'status': 429, 'path': '/v1/statistics', 'headers': { 'Retry-After': '0' } });
+        mock.server.injectFault({ 'status': 503, 'path': '/v1/sellers/stats' });
+        const client = mock.client();
+        return client.getStats(STATS_QUERY)
+            .then((csv) => {
+                assert.ok(csv.length);
+                assert.strictEqual(requestsTo(mock.server, 'POST', '/v1/statistics').length, 2);
+                return client.getSellerStats({
+                    'advertiserIds': '100',
+                    'startDate': '2020-01-01',
+                    'endDate': '2020-01-02',
+                    'dimensions': ['Seller', 'Day'],
+                    'metrics': ['Clicks'],
+                    'format': 'JSON'
+                });
+            })
+            .then(() => assert.strictEqual(requestsTo(mock.server, 'POST', '/v1/sellers/stats').length, 2));
+    });
+
+    it('waits for Retry-After before retrying', () => {
+        mock.server.injectFault({ 'status': 429, 'path': '/v1/portfolio', 'headers': { 'Retry-After': '1' } });
+        const start = Date.now();
+        return mock.client().getPortfolio()
+            .then(() => {
+                assert.ok(Date.now() - start >= 950);
+                assert.strictEqual(requestsTo(mock.server, 'GET', '/v1/portfolio').length, 2);
+            });
+    });
+
+    it('does not retry when Retry-After is above maxRetryAfter', () => {
+        mock.server.injectFault({ 'status': 429, 'path': '/v1/portfolio', 'headers': { 'Retry-After': '600' } });
+        return assert.rejects(mock.client().getPortfolio(), (err) => err.statusCode === 429)
+            .then(() => assert.strictEqual(requestsTo(mock.server, 'GET', '/v1/portfolio').length, 1));
+    });
+});
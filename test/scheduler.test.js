@@ -0,0 +1,146 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const Request_Scheduler = require('../lib/scheduler.js');
+const { wait } = require('../lib/concurrency.js');
+const { useMockServer, requestsTo, STATS_QUERY } = require('./support.js');
+
+/**
+ * A task that records how many tasks run at once, resolving after a delay.
+ */
+function tracker(){
+    const state = { 'active': 0, 'peak': 0, 'started': [] };
+    state.task = (ms = 20) => () => {
+        state.active++;
+        state.peak = Math.max(state.peak, state.active);
+        state.started.push(Date.now());
+        return wait(ms).then(() => {
+            state.active--;
+            return state.started.length;
+        });
+    };
+    return state;
+}
+
+describe('Request_Scheduler', () => {
+
+    it('groups paths by endpoint', () => {
+        const scheduler = new Request_Scheduler();
+        assert.strictEqual(scheduler.groupFor('/oauth2/token'), 'auth');
+        assert.strictEqual(scheduler.groupFor('/v1/statistics/report'), 'statistics');
+        assert.strictEqual(scheduler.groupFor('/v2/crp/stats/sellers'), 'statistics');
+        assert.strictEqual(scheduler.groupFor('/v1/audiences/userlist/1'), 'audiences');
+        assert.strictEqual(scheduler.groupFor('/v2/crp/budgets'), 'crp');
+        assert.strictEqual(scheduler.groupFor('/v1/campaigns'), 'default');
+    });
+
+    it('limits the requests in flight', () => {
+        const scheduler = new Request_Scheduler({ 'concurrency': 2 });
+        const state = tracker();
+        return Promise.all([1, 2, 3, 4, 5].map(() => scheduler.schedule('/v1/campaigns', state.task())))
+            .then((results) => {
+                assert.strictEqual(state.peak, 2);
+                assert.strictEqual(results.length, 5);
+                const stats = scheduler.stats().default;
+                assert.strictEqual(stats.completed, 5);
+                assert.strictEqual(stats.queued, 0);
+                assert.ok(stats.maxWait >= 20);
+            });
+    });
+
+    it('limits the request rate after the burst', () => {
+        const scheduler = new Request_Scheduler({ 'requestsPerSecond': 20, 'burst': 2 });
+        const state = tracker();
+        const start = Date.now();
+        return Promise.all([1, 2, 3, 4].map(() => scheduler.schedule('/v1/campaigns', state.task(0))))
+            .then(() => {
+                assert.ok(state.started[1] - start < 50);
+                // Two requests over the burst, at 20 per second
+                assert.ok(state.started[3] - start >= 90, `${state.started[3] - start}`);
+            });
+    });
+
+    it('applies limits per group', () => {
+        const scheduler = new Request_Scheduler({ 'concurrency': 5, 'groups': { 'statistics': { 'concurrency': 1 } } });
+        const stats = tracker();
+        const other = tracker();
+        return Promise.all([
+            ...[1, 2, 3].map(() => scheduler.schedule('/v1/statistics', stats.task())),
+            ...[1, 2, 3].map(() => scheduler.schedule('/v1/campaigns', other.task()))
+        ])
+        .then(() => {
+            assert.strictEqual(stats.peak, 1);
+            assert.strictEqual(other.peak, 3);
+        });
+    });
+
+    it('keeps the slot of a held task until it is released', () => {
+        const scheduler = new Request_Scheduler({ 'concurrency': 1 });
+        let release;
+        let second = false;
+        return scheduler.schedule('/v1/campaigns', (hold) => {
+            release = hold();
+            return Promise.resolve('first');
+        })
+        .then((result) => {
+            assert.strictEqual(result, 'first');
+            scheduler.schedule('/v1/campaigns', () => Promise.resolve(second = true));
+            return wait(20);
+        })
+        .then(() => {
+            assert.strictEqual(second, false);
+            assert.strictEqual(scheduler.stats().default.active, 1);
+            release();
+            release();
+            return wait(0);
+        })
+        .then(() => {
+            assert.strictEqual(second, true);
+            assert.deepStrictEqual([scheduler.stats().default.active, scheduler.stats().default.completed], [0, 2]);
+        });
+    });
+
+    it('keeps running the queue after a task fails', () => {
+        const scheduler = new Request_Scheduler({ 'concurrency': 1 });
+        return Promise.all([
+            assert.rejects(scheduler.schedule('/v1/campaigns', () => Promise.reject(new Error('failed'))), /failed/),
+            scheduler.schedule('/v1/campaigns', () => Promise.resolve('ok'))
+        ])
+        .then(([, result]) => assert.strictEqual(result, 'ok'));
+    });
+});
+
+describe('Rate limits of the client', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+
+    it('queues requests by endpoint group', () => {
+        const client = mock.client({ 'rateLimit': { 'concurrency': 1 } });
+        return Promise.all([client.getPortfolio(), client.getCampaigns(), client.getBudgets()])
+            .then(() => {
+                const stats = client.getQueueStats();
+                assert.strictEqual(stats.default.completed, 3);
+                assert.strictEqual(stats.default.active, 0);
+                assert.strictEqual(stats.auth.completed, 1);
+            });
+    });
+
+    it('counts streamed reports against the concurrency until they end', () => {
+        const client = mock.client({ 'rateLimit': { 'groups': { 'statistics': { 'concurrency': 1 } } } });
+        const reports = () => requestsTo(mock.server, 'POST', '/v1/statistics');
+        let csv;
+        return client.getStats(STATS_QUERY, { 'stream': true })
+            .then((stream) => {
+                csv = client.getStats(STATS_QUERY);
+                return wait(50).then(() => stream);
+            })
+            .then((stream) => {
+                assert.strictEqual(reports().length, 1);
+                assert.strictEqual(client.getQueueStats().statistics.queued, 1);
+                stream.resume();
+                return csv;
+            })
+            .then((body) => {
+                assert.match(body, /^CampaignId,Day,Clicks,Displays/);
+                assert.strictEqual(reports().length, 2);
+            });
+    });
+});
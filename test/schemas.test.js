@@ -0,0 +1,52 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const { SCHEMAS, validate } = require('../lib/schemas.js');
+const { MapiValidationError } = require('../lib/errors.js');
+const { useMockServer } = require('./support.js');
+
+const paths = (errors) => errors.map((e) => e.path);
+
+describe('Payload validation', () => {
+
+    it('checks required fields, types and bounds with their path', () => {
+        const errors = validate(SCHEMAS.updateBids, [{ 'campaignId': 'abc', 'bidValue': -1 }, { 'bidValue': 1, 'categories': [{ 'categoryHashCode': 1 }] }]);
+        assert.deepStrictEqual(paths(errors), ['campaigns[0].campaignId', 'campaigns[0].bidValue', 'campaigns[1].campaignId', 'campaigns[1].categories[0].bidValue']);
+    });
+
+    it('runs checks across fields', () => {
+        const errors = validate(SCHEMAS.updateAudienceUsers, { 'operation': 'add', 'schema': 'gum', 'identifiers': ['1'] });
+        assert.deepStrictEqual(errors, [{ 'path': 'options.gumCallerId', 'message': 'options.gumCallerId is required for gum identifiers' }]);
+    });
+
+    it('ignores fields not in the schema', () => {
+        assert.deepStrictEqual(validate(SCHEMAS.updateCRPBidByCampaign, { 'id': '11.1001', 'bid': 0.5, 'comment': 'new' }), []);
+    });
+});
+
+describe('Payloads sent by the client', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+
+    it('rejects invalid payloads without a request', () => {
+        return assert.rejects(mock.client().updateBids([{ 'campaignId': 1001 }]), (err) => {
+            assert.ok(err instanceof MapiValidationError);
+            assert.strictEqual(err.message, 'Invalid updateBids payload. campaigns[0].bidValue is required');
+            return true;
+        })
+        .then(() => assert.strictEqual(mock.server.requests.length, 0));
+    });
+
+    it('rejects invalid payloads through callbacks', () => {
+        return new Promise((resolve) => {
+            mock.client().updateCRPBudget(1, { 'startDate': '2020-02-01', 'endDate': '2020-01-01' }, (err) => {
+                assert.ok(err instanceof MapiValidationError);
+                assert.strictEqual(mock.server.requests.length, 0);
+                resolve();
+            });
+        });
+    });
+
+    it('sends valid payloads', () => {
+        return mock.client().updateBids([{ 'campaignId': 1001, 'bidValue': '0.7' }])
+            .then(() => assert.strictEqual(mock.server.state.campaigns.find((c) => c.campaignId === 1001).bidValue, 0.7));
+    });
+});
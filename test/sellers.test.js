@@ -0,0 +1,20 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const { useMockServer, requestsTo } = require('./support.js');
+
+describe('Seller methods', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+
+    it('updates seller bids and budgets sent as JSON', () => {
+        const client = mock.client();
+        const endDate = '2030-01-31T00:00:00.000Z';
+        return client.updateSellerBids({ 'campaignId': 1001, 'sellerBids': [{ 'sellerName': 'Acme Retail', 'bid': 0.45 }] })
+            .then(() => client.createSellerBudgets({ 'campaignId': 1001, 'sellerBudgets': [{ 'sellerName': 'Acme Retail', 'amount': 100, 'endDate': endDate }] }))
+            .then((budgets) => client.updateSellerBudgets({ 'campaignId': 1001, 'sellerBudgets': [{ 'budgetId': budgets[0].budgetId, 'amount': 150, 'endDate': endDate }] }))
+            .then(() => {
+                assert.strictEqual(requestsTo(mock.server, 'PUT', '/v1/sellers/bids')[0].headers['content-type'], 'application/json');
+                assert.strictEqual(mock.server.state.crpSellerCampaigns.find((c) => c.id === '11.1001').bid, 0.45);
+                assert.deepStrictEqual(mock.server.state.sellerBudgets.map((b) => [b.sellerName, b.amount]), [['Acme Retail', 150]]);
+            });
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const { Stats_Query, validateStatsQuery } = require('../lib/stats_query.js');
+const { MapiValidationError } = require('../lib/errors.js');
+const { useMockServer, requestsTo, STATS_QUERY } = require('./support.js');
+
+const paths = (errors) => errors.map((e) => e.path);
+
+describe('Statistics query validation', () => {
+
+    it('accepts a valid query', () => {
+        assert.deepStrictEqual(validateStatsQuery(STATS_QUERY), []);
+    });
+
+    it('accepts names it does not know unless strict', () => {
+        const query = { ...STATS_QUERY, 'currency': 'XOF', 'dimensions': ['campaignid', 'DAY'], 'metrics': ['Clicks', 'SalesPc7d'] };
+        assert.deepStrictEqual(validateStatsQuery(query), []);
+        assert.deepStrictEqual(paths(validateStatsQuery(query, 'statistics', { 'strict': true })), ['currency', 'metrics[1]']);
+    });
+
+    it('suggests the closest name for typos when strict', () => {
+        const errors = validateStatsQuery({ ...STATS_QUERY, 'metrics': ['Clcks'] }, 'statistics', { 'strict': true });
+        assert.deepStrictEqual(errors, [{ 'path': 'metrics[0]', 'message': "Unknown metric 'Clcks', did you mean 'Clicks'?" }]);
+    });
+
+    it('matches time dimensions and duplicates whatever their case', () => {
+        assert.deepStrictEqual(paths(validateStatsQuery({ ...STATS_QUERY, 'dimensions': ['day', 'Week'] })), ['dimensions']);
+        assert.deepStrictEqual(paths(validateStatsQuery({ ...STATS_QUERY, 'dimensions': ['Day', 'hour'] })), []);
+        assert.deepStrictEqual(paths(validateStatsQuery({ ...STATS_QUERY, 'metrics': ['Clicks', 'clicks'] })), ['metrics[1]']);
+    });
+
+    it('lists every problem of a query', () => {
+        const errors = validateStatsQuery({
+            'reportType': 'CampaignPerformance',
+            'format': 'pdf',
+            'timezone': 'CET',
+            'dimensions': ['Day', 'Week'],
+            'metrics': [],
+            'startDate': '2020-02-01',
+            'endDate': '2020-01-01'
+        });
+        assert.deepStrictEqual(paths(errors), ['format', 'metrics', 'dimensions', 'endDate']);
+    });
+
+    it('checks dimensions and metrics by endpoint when strict', () => {
+        const query = { ...STATS_QUERY, 'reportType': undefined, 'dimensions': ['Seller', 'Hour'], 'metrics': ['Clicks', 'Cpc'] };
+        assert.deepStrictEqual(validateStatsQuery({ ...query, 'reportType': 'CampaignPerformance' }, 'statistics', { 'strict': true }), []);
+        assert.deepStrictEqual(paths(validateStatsQuery(query, 'sellers', { 'strict': true })), ['dimensions[1]', 'metrics[1]']);
+        assert.deepStrictEqual(validateStatsQuery(query, 'sellers'), []);
+    });
+
+    it('builds the request body of a query', () => {
+        const body = new Stats_Query()
+            .reportType('CampaignPerformance')
+            .advertisers(100, 200)
+            .between('2020-01-01', '2020-01-31')
+            .dimensions('CampaignId', 'Day')
+            .metrics('Clicks')
+            .format('JSON')
+            .build();
+        assert.strictEqual(body.advertiserIds, '100,200');
+        assert.strictEqual(body.startDate, '2020-01-01T00:00:00.000Z');
+        assert.throws(() => new Stats_Query().format('JSON').build(), MapiValidationError);
+    });
+});
+
+describe('Statistics queries sent by the client', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+
+    it('rejects invalid statistics queries without a request', () => {
+        return assert.rejects(mock.client().getStats({ ...STATS_QUERY, 'endDate': '2019-12-31' }), (err) => {
+            assert.ok(err instanceof MapiValidationError);
+            assert.deepStrictEqual(paths(err.errors), ['endDate']);
+            return true;
+        })
+        .then(() => assert.strictEqual(mock.server.requests.length, 0));
+    });
+
+    it('sends statistics queries with names it does not know', () => {
+        return mock.client().getStats({ ...STATS_QUERY, 'dimensions': ['campaignid', 'day'], 'metrics': ['Clicks', 'SalesPc7d'] })
+            .then(() => assert.deepStrictEqual(requestsTo(mock.server, 'POST', '/v1/statistics')[0].body.metrics, ['Clicks', 'SalesPc7d']));
+    });
+
+    it('rejects unknown names with validateStats strict', () => {
+        const query = { ...STATS_QUERY, 'metrics': ['Clcks'] };
+        return assert.rejects(mock.client({ 'validateStats': 'strict' }).getStats(query), (err) => {
+            assert.ok(err instanceof MapiValidationError);
+            assert.match(err.message, /did you mean 'Clicks'/);
+            assert.deepStrictEqual(paths(err.errors), ['metrics[0]']);
+            return true;
+        })
+        .then(() => assert.rejects(mock.client().withOptions({ 'validateStats': 'strict' }).getStats(query), MapiValidationError))
+        .then(() => assert.strictEqual(mock.server.requests.length, 0));
+    });
+
+    it('sends statistics queries unchecked with validateStats off', () => {
+        const query = { ...STATS_QUERY, 'dimensions': ['Day', 'Week'] };
+        return mock.client({ 'validateStats': false }).getStats(query)
+            .then(() => assert.strictEqual(requestsTo(mock.server, 'POST', '/v1/statistics').length, 1));
+    });
+
+});
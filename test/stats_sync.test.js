@@ -0,0 +1,94 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MapiValidationError } = require('../lib/errors.js');
+const { useMockServer, requestsTo, STATS_QUERY } = require('./support.js');
+
+describe('Statistics sync', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+    const reports = () => requestsTo(mock.server, 'POST', '/v1/statistics');
+    const readCheckpoints = () => JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+    let dir;
+    let checkpointFile;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'criteo-stats-'));
+        checkpointFile = path.join(dir, 'checkpoints.json');
+    });
+
+    afterEach(() => fs.rmSync(dir, { 'recursive': true, 'force': true }));
+
+    it('fetches the days after the checkpoint and the lookback window', () => {
+        const client = mock.client();
+        return client.syncStats(STATS_QUERY, { 'checkpointFile': checkpointFile, 'lookback': 3 })
+            .then((first) => {
+                assert.deepStrictEqual([first.startDate, first.endDate, first.added.length, first.changed.length, first.saved], ['2020-01-01', '2020-01-10', 20, 0, true]);
+                const checkpoint = Object.values(readCheckpoints())[0];
+                assert.strictEqual(checkpoint.lastDate, '2020-01-10');
+                assert.deepStrictEqual(Object.keys(checkpoint.days).sort(), ['2020-01-08', '2020-01-09', '2020-01-10']);
+                return client.syncStats({ ...STATS_QUERY, 'endDate': '2020-01-12' }, { 'checkpointFile': checkpointFile, 'lookback': 3 });
+            })
+            .then((second) => {
+                assert.strictEqual(reports()[1].body.startDate, '2020-01-08T00:00:00.000Z');
+                assert.deepStrictEqual([second.startDate, second.added.length, second.changed.length, second.unchanged], ['2020-01-08', 4, 0, 6]);
+                assert.ok(second.added.every((row) => row.Day >= new Date('2020-01-11')));
+                assert.strictEqual(Object.values(readCheckpoints())[0].lastDate, '2020-01-12');
+            });
+    });
+
+    it('emits rows whose metrics changed within the lookback window', () => {
+        const client = mock.client();
+        const options = { 'checkpointFile': checkpointFile, 'lookback': 3 };
+        return client.syncStats(STATS_QUERY, options)
+            .then(() => {
+                // Stand in for late conversions: the figures saved for 2020-01-09 no longer match the report
+                const checkpoints = readCheckpoints();
+                const days = Object.values(checkpoints)[0].days;
+                for (const row in days['2020-01-09']){
+                    days['2020-01-09'][row] = 'outdated';
+                }
+                fs.writeFileSync(checkpointFile, JSON.stringify(checkpoints));
+                return client.syncStats(STATS_QUERY, options);
+            })
+            .then((result) => {
+                assert.deepStrictEqual([result.added.length, result.changed.length, result.unchanged], [0, 2, 4]);
+                assert.ok(result.changed.every((row) => row.Day.toISOString() === '2020-01-09T00:00:00.000Z'));
+                assert.deepStrictEqual(result.rows, result.changed);
+            });
+    });
+
+    it('passes the rows to onRows and does not save the checkpoint if it rejects', () => {
+        let received;
+        const onRows = (rows) => {
+            received = rows;
+            return Promise.reject(new Error('warehouse down'));
+        };
+        return assert.rejects(mock.client().syncStats(STATS_QUERY, { 'checkpointFile': checkpointFile, 'onRows': onRows }), /warehouse down/)
+            .then(() => {
+                assert.strictEqual(received.length, 20);
+                assert.ok(!fs.existsSync(checkpointFile));
+            });
+    });
+
+    it('keeps a checkpoint per report definition', () => {
+        const client = mock.client();
+        return client.syncStats(STATS_QUERY, { 'checkpointFile': checkpointFile })
+            .then(() => client.syncStats({ ...STATS_QUERY, 'metrics': ['Clicks'] }, { 'checkpointFile': checkpointFile }))
+            .then((result) => {
+                assert.strictEqual(result.added.length, 20);
+                assert.strictEqual(Object.keys(readCheckpoints()).length, 2);
+            });
+    });
+
+    it('requires a checkpoint file, a Day or Hour dimension and a first start date', () => {
+        const client = mock.client();
+        return Promise.all([
+            assert.rejects(client.syncStats(STATS_QUERY, {}), MapiValidationError),
+            assert.rejects(client.syncStats({ ...STATS_QUERY, 'dimensions': ['CampaignId'] }, { 'checkpointFile': checkpointFile }), /Day or Hour/),
+            assert.rejects(client.syncStats({ ...STATS_QUERY, 'startDate': undefined }, { 'checkpointFile': checkpointFile }), /startDate for its first run/)
+        ])
+        .then(() => assert.deepStrictEqual(mock.server.requests, []));
+    });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { MapiError, MapiHttpError } = require('../lib/errors.js');
+const { useMockServer, STATS_QUERY } = require('./support.js');
+
+const read = (stream) => new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    stream.on('error', reject);
+});
+
+describe('Streaming reports', () => {
+    const mock = useMockServer({ before, after, beforeEach });
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'criteo-mapi-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { 'recursive': true, 'force': true });
+    });
+
+    it('saves a report to a file', () => {
+        const filepath = path.join(dir, 'report.csv');
+        const client = mock.client();
+        return Promise.all([client.getStats(STATS_QUERY), client.getStats(STATS_QUERY, filepath)])
+            .then(([csv, message]) => {
+                assert.strictEqual(message, `Results saved to ${filepath}.`);
+                assert.strictEqual(fs.readFileSync(filepath, 'utf8'), csv);
+            });
+    });
+
+    it('reports progress as the report is received', () => {
+        const filepath = path.join(dir, 'progress.csv');
+        const progress = [];
+        return mock.client().getStats(STATS_QUERY, { 'filepath': filepath, 'onProgress': (p) => progress.push(p) })
+            .then(() => {
+                const size = fs.statSync(filepath).size;
+                assert.ok(progress.length > 0);
+                assert.strictEqual(progress[progress.length - 1].bytes, size);
+            });
+    });
+
+    it('resolves with a stream of the report', () => {
+        const client = mock.client();
+        return client.getStats(STATS_QUERY, { 'stream': true })
+            .then((stream) => {
+                assert.ok(stream instanceof Readable);
+                return Promise.all([read(stream), client.getStats(STATS_QUERY)]);
+            })
+            .then(([streamed, csv]) => assert.strictEqual(streamed, csv));
+    });
+
+    it('rejects error responses without creating the file', () => {
+        const filepath = path.join(dir, 'error.csv');
+        mock.server.injectFault({ 'status': 400, 'path': '/v1/statistics', 'body': { 'errors': [{ 'message': 'Bad query' }] } });
+        return assert.rejects(mock.client().getStats(STATS_QUERY, filepath), (err) => {
+            assert.ok(err instanceof MapiHttpError);
+            assert.deepStrictEqual(err.body, { 'errors': [{ 'message': 'Bad query' }] });
+            return true;
+        })
+        .then(() => assert.ok(!fs.existsSync(filepath)));
+    });
+
+    it('removes the partial file when the report is cut off', () => {
+        const filepath = path.join(dir, 'partial.csv');
+        const report = 'Day;Clicks\n' + Array.from({ 'length': 20000 }, (v, i) => `2020-01-01;${i}`).join('\n');
+        const gzipped = zlib.gzipSync(report);
+        mock.server.injectFault({
+            'status': 200,
+            'path': '/v1/statistics',
+            'headers': { 'Content-Type': 'text/csv', 'Content-Encoding': 'gzip' },
+            'body': gzipped.slice(0, Math.floor(gzipped.length / 2))
+        });
+        return assert.rejects(mock.client().getStats(STATS_QUERY, filepath), (err) => {
+            assert.ok(err instanceof MapiError);
+            assert.strictEqual(err.filepath, filepath);
+            return true;
+        })
+        .then(() => assert.ok(!fs.existsSync(filepath)));
+    });
+});
@@ -0,0 +1,51 @@
+const Criteo_MAPI_Client = require('../lib/mapi.js');
+const Mock_MAPI_Server = require('../lib/mock_server.js');
+
+/**
+ * Start a mock server for the tests of a file, and stop it once they are done.
+ * Its state and request log are reset before each test.
+ * @param {object} hooks - { before, after, beforeEach } of node:test
+ * @param {object} [options] - Mock_MAPI_Server options
+ * @returns {object} { server, client(options) }, where client creates a client pointed at the server
+ */
+function useMockServer({ before, after, beforeEach }, options = {}){
+    const mock = {
+        'server': new Mock_MAPI_Server(options),
+        'port': null,
+        'client': (clientOptions = {}) => new Criteo_MAPI_Client('id', 'secret', 'localhost', '/marketing', {
+            'protocol': 'http:',
+            'port': mock.port,
+            'retry': { 'baseDelay': 1, 'jitter': 0 },
+            ...clientOptions
+        })
+    };
+    before(() => mock.server.start().then((port) => {
+        mock.port = port;
+    }));
+    after(() => mock.server.stop());
+    beforeEach(() => mock.server.reset());
+    return mock;
+}
+
+/**
+ * Requests the server received for a method and path (relative to the endpoint).
+ */
+function requestsTo(server, method, path){
+    return server.requests.filter((r) => r.method === method && r.path === path);
+}
+
+const STATS_QUERY = {
+    'reportType': 'CampaignPerformance',
+    'advertiserIds': '100',
+    'startDate': '2020-01-01',
+    'endDate': '2020-01-10',
+    'dimensions': ['CampaignId', 'Day'],
+    'metrics': ['Clicks', 'Displays'],
+    'format': 'CSV'
+};
+
+module.exports = {
+    useMockServer,
+    requestsTo,
+    STATS_QUERY
+};